@@ -20,39 +20,162 @@ export default function handler(req, res) {
     name: "opal-custom-tools",
     version: "1.0.0",
     description:
-      "Custom Opal tools: OpenAPI surface mapping + capability coverage matrix.",
+      "Custom Opal tools: OpenAPI surface mapping, spec diffing + capability coverage matrix.",
 
     // IMPORTANT: parameters MUST be an array of objects
     functions: [
       {
         name: "opal_openapi_surface_map",
         description:
-          "Fetches an OpenAPI/Swagger spec from spec_url and returns a normalized endpoint inventory + auth hints.",
+          "Fetches an OpenAPI/Swagger spec and returns a normalized endpoint inventory with schemas, auth + scopes, servers and webhooks. " +
+          "Endpoints are annotated with pagination, error handling, criticality tier, resource, bulk/async jobs and deprecation. " +
+          "Large specs can be filtered, paged or summarized with the optional parameters.",
         http_method: "POST",
         endpoint: "/tools/opal_openapi_surface_map",
         parameters: [
           {
             name: "spec_url",
             type: "string",
-            required: true,
+            required: false,
+            description:
+              "Public URL to an OpenAPI 3.x or Swagger 2.0 spec file (JSON or YAML). Required unless spec_content or spec_base64 is provided.",
+          },
+          {
+            name: "spec_content",
+            type: "string",
+            required: false,
+            description:
+              "Optional: raw spec text (JSON or YAML), e.g. from an attachment. Takes precedence over spec_url.",
+          },
+          {
+            name: "spec_base64",
+            type: "string",
+            required: false,
+            description:
+              "Optional: base64-encoded spec file (JSON or YAML; a data: URL is also accepted).",
+          },
+          {
+            name: "tags",
+            type: "array",
+            required: false,
+            description: "Optional: only endpoints carrying any of these tags (case-insensitive), e.g. [\"Payments\", \"Refunds\"].",
+          },
+          {
+            name: "path_prefix",
+            type: "string",
+            required: false,
+            description: "Optional: only endpoints under this path, e.g. \"/v2/payments\" (matches /v2/payments and /v2/payments/..., not /v2/payments-legacy).",
+          },
+          {
+            name: "methods",
+            type: "array",
+            required: false,
+            description: "Optional: only these HTTP methods, e.g. [\"GET\", \"POST\"].",
+          },
+          {
+            name: "auth_scheme",
+            type: "string",
+            required: false,
             description:
-              "Public URL to an OpenAPI/Swagger spec file (JSON or YAML).",
+              "Optional: only endpoints accepting this security scheme, by name or type (e.g. \"oauth2\", \"apiKey\", \"bearer\"); \"none\" keeps public and undeclared endpoints.",
+          },
+          {
+            name: "query",
+            type: "string",
+            required: false,
+            description: "Optional: free text; every word must appear in the endpoint's method, path, operationId, summary or tags.",
+          },
+          {
+            name: "mode",
+            type: "string",
+            required: false,
+            description:
+              "Optional: full (default; the surface map, paged when limit is set) or summary (counts per tag, resource, method and tier plus the top endpoints, without the inventory).",
+          },
+          {
+            name: "limit",
+            type: "number",
+            required: false,
+            description: "Optional: endpoints per page in full mode (max 500; without it every matching endpoint is returned), or number of top endpoints in summary mode (default 20).",
+          },
+          {
+            name: "cursor",
+            type: "string",
+            required: false,
+            description:
+              "Optional: page.next_cursor from the previous response, to get the next page. Send the same spec and filters with it. Pages after the first carry only endpoints.",
+          },
+          {
+            name: "output_format",
+            type: "string",
+            required: false,
+            description:
+              "Optional: json (default), markdown, csv (endpoint inventory, or the counts in summary mode) or html (self-contained report page).",
+          },
+        ],
+      },
+      {
+        name: "opal_openapi_spec_diff",
+        description:
+          "Compares two versions of an OpenAPI/Swagger spec and reports added/removed/deprecated operations, parameter and required-field changes, auth scheme/scope changes and base URL changes, each classified as breaking or non-breaking with JSON-pointer evidence into both specs.",
+        http_method: "POST",
+        endpoint: "/tools/opal_openapi_spec_diff",
+        parameters: [
+          {
+            name: "old_spec_url",
+            type: "string",
+            required: false,
+            description:
+              "URL of the previous spec version (JSON or YAML). Required unless old_spec_content or old_spec_base64 is provided.",
+          },
+          {
+            name: "new_spec_url",
+            type: "string",
+            required: false,
+            description:
+              "URL of the new spec version (JSON or YAML). Required unless new_spec_content or new_spec_base64 is provided.",
+          },
+          {
+            name: "old_spec_content",
+            type: "string",
+            required: false,
+            description: "Optional: raw text (JSON or YAML) of the previous spec version.",
+          },
+          {
+            name: "new_spec_content",
+            type: "string",
+            required: false,
+            description: "Optional: raw text (JSON or YAML) of the new spec version.",
+          },
+          {
+            name: "old_spec_base64",
+            type: "string",
+            required: false,
+            description: "Optional: base64-encoded previous spec version.",
+          },
+          {
+            name: "new_spec_base64",
+            type: "string",
+            required: false,
+            description: "Optional: base64-encoded new spec version.",
           },
         ],
       },
       {
         name: "opal_capability_coverage_matrix",
         description:
-          "From a single user_request, finds an OpenAPI/Swagger URL, extracts endpoints, and returns a capability-to-endpoint coverage matrix with evidence.",
+          "From a single user_request, finds the OpenAPI/Swagger spec(s) and returns a capability-to-endpoint coverage matrix with evidence. " +
+          "Hard constraints stated in the request (auth flow, latency, volume, region, protocol) are checked against the spec, " +
+          "and follow-up questions point at the spec location behind each.",
         http_method: "POST",
         endpoint: "/tools/opal_capability_coverage_matrix",
         parameters: [
           {
             name: "user_request",
             type: "string",
-            required: true,
+            required: false,
             description:
-              "Single raw request text containing integration goals, capabilities, constraints, and an OpenAPI/Swagger URL.",
+              "Single raw request text containing integration goals, capabilities, constraints, and an OpenAPI/Swagger URL (or an API docs page URL, from which the spec is discovered). May be omitted when capabilities are provided.",
           },
           {
             name: "max_capabilities",
@@ -61,6 +184,27 @@ export default function handler(req, res) {
             description:
               "Optional: cap the number of extracted capabilities (default 25).",
           },
+          {
+            name: "capabilities",
+            type: "array",
+            required: false,
+            description:
+              "Optional: structured capability list that bypasses extraction. Items: { id, text, priority: must|should|could (default should), method?: GET|POST|PUT|PATCH|DELETE, entity? }. coverage_score is weighted by priority; missing \"must\" items are reported in overall.blocking_gaps.",
+          },
+          {
+            name: "spec_urls",
+            type: "array",
+            required: false,
+            description:
+              "Optional: list of spec URLs (up to 10) for APIs split into several specs. Replaces the spec URLs found in user_request; all specs are fetched concurrently and matched together.",
+          },
+          {
+            name: "overrides",
+            type: "object",
+            required: false,
+            description:
+              "Optional reviewer overrides: { exclude: [\"/internal\", \"DELETE /contacts/{id}\"], pins: [{ capability: id or text, endpoint: \"POST /v2/profiles\", spec?, note? }], coverage: [{ capability, coverage: full|partial|missing, note, reviewer? }] }. Excluded endpoints are never evidence and are left out of the constraint checks; pinned endpoints lead the evidence with source \"override\"; forced labels keep the heuristic label alongside.",
+          },
           {
             name: "max_evidence_per_capability",
             type: "number",
@@ -68,6 +212,27 @@ export default function handler(req, res) {
             description:
               "Optional: cap evidence matches per capability (default 3).",
           },
+          {
+            name: "spec_content",
+            type: "string",
+            required: false,
+            description:
+              "Optional: raw spec text (JSON or YAML) to use instead of a URL in user_request.",
+          },
+          {
+            name: "spec_base64",
+            type: "string",
+            required: false,
+            description:
+              "Optional: base64-encoded spec file (JSON or YAML) to use instead of a URL in user_request.",
+          },
+          {
+            name: "output_format",
+            type: "string",
+            required: false,
+            description:
+              "Optional: json (default), markdown, csv (one row per capability) or html (self-contained report page).",
+          },
         ],
       },
     ],
@@ -2,22 +2,99 @@
  * /api/tools/opal_capability_coverage_matrix
  *
  * Purpose:
- * - Accepts ONE input: user_request (string)
+ * - Accepts ONE main input: user_request (string)
+ *   (the spec may instead be passed inline via spec_content / spec_base64)
+ * - Optional `capabilities`: [{ id, text, priority: must|should|could, method?, entity? }]
+ *   bypasses extraction (user_request is then only searched for the spec URL);
+ *   coverage_score is weighted by priority and missing "must" capabilities are
+ *   listed in overall.blocking_gaps
+ * - Optional `overrides` (lib/overrides.js): reviewer-pinned endpoints per capability,
+ *   excluded endpoints / path prefixes and forced coverage labels with a note.
+ *   Pinned evidence has source "override", matcher evidence source "heuristic";
+ *   the heuristic result is kept on each overridden row and the top-level
+ *   `overrides` section reports every rule with its status
+ * - Optional `spec_urls`: explicit list of spec URLs (up to 10) for platforms split
+ *   into several specs; otherwise every spec-looking URL in user_request is used
  * - Extracts:
- *   1) OpenAPI/Swagger spec URL (if present)
+ *   1) OpenAPI/Swagger spec URLs (if present and no inline spec was given);
+ *      a docs page URL triggers spec discovery (lib/spec_discovery.js)
  *   2) Requested capabilities from the text
- * - Fetches and parses the spec (JSON/YAML)
- * - Extracts endpoint inventory (method/path/summary)
+ * - Fetches and parses the specs concurrently (JSON/YAML; OpenAPI 3.x or Swagger 2.0);
+ *   capabilities are matched across all of them and evidence names its spec
+ *   (spec-1, spec-2, ...); a spec that fails to load is reported, not fatal
+ * - Extracts endpoint inventory (shared surface map + operationId/tags/params/schema titles)
+ * - Adds the webhook/callback event inventory as evidence for event capabilities
+ * - For list/search/sync capabilities, reports the matched collection's pagination,
+ *   filters and sort (from the surface map) instead of asking about them
+ * - For bulk/import/export/large-volume capabilities, prefers endpoints with batch
+ *   bodies, 202 async jobs, job polling or file transfers (surface map `bulk_async`)
+ * - Ranks endpoints per capability (lib/capability_matcher.js: stemming, synonyms,
+ *   identifier splitting, per-field weights; reasons name the field + synonym)
+ * - Prefers current operations: deprecated, sunset and superseded (/v1 when /v2 has
+ *   the same path) endpoints rank lower (lib/deprecation.js); a row whose strongest
+ *   evidence is only deprecated gets deprecation_risk and a gap, and a passed sunset
+ *   downgrades "full" to "partial"
+ * - Checks data attributes named in a capability ("email, phone and loyalty tier")
+ *   against the request/response schema fields of the matched endpoints;
+ *   missing fields downgrade "full" to "partial"
+ * - Extracts hard constraints from user_request (auth, latency, volume, region,
+ *   protocol; lib/constraints.js) and checks each against the spec: auth flows,
+ *   server URLs, webhooks, bulk endpoints. Constraint wording is not treated as a capability.
  * - Produces a capability-to-endpoint coverage matrix with evidence
+ * - next_questions are built from the evidence (lib/next_questions.js): required
+ *   inputs, missing filters/pagination, undefined scopes, near-miss endpoints;
+ *   each names the spec and JSON pointer that triggered it
  *
  * Output:
  * - JSON with:
  *   - extracted_capabilities
- *   - coverage matrix (full/partial/missing + confidence + evidence)
- *   - overall coverage score
+ *   - coverage matrix (full/partial/missing + confidence + evidence + next_questions
+ *     as { question, basis, evidence: { spec, endpoint, pointer } })
+ *   - overall coverage score (priority-weighted, all specs combined) + blocking gaps
+ *   - specs: per-spec coverage scores (each spec on its own), declared environments
+ *     (production, sandbox, ...), sandbox_available and server regions
+ *   - constraints (satisfied/violated/unknown + evidence)
+ * - Optional output_format: markdown | csv | html renders the same result as a
+ *   report (lib/report.js); CSV is the matrix. Errors are always JSON.
  */
 
-import yaml from "js-yaml";
+import { createResolver } from "../../lib/schema_resolver.js";
+import { mergedParameters } from "../../lib/spec_version.js";
+import {
+  listOperations,
+  listWebhookOperations,
+  normalizeSurfaceMap,
+  operationSchemaFields
+} from "../../lib/surface_map.js";
+import {
+  extractAttributes,
+  extractFilterTerms,
+  indexEndpoint,
+  isBulkCapability,
+  isEventCapability,
+  isLifecycleCapability,
+  isListCapability,
+  matchAttributes,
+  matchResource,
+  scoreEndpoint,
+  splitIdentifier,
+  stem,
+  tokenizeCapability
+} from "../../lib/capability_matcher.js";
+import { checkConstraints, extractConstraints, stripConstraints, uncheckedConstraints } from "../../lib/constraints.js";
+import { operationStatus } from "../../lib/deprecation.js";
+import { groundedQuestions, noSpecQuestions } from "../../lib/next_questions.js";
+import {
+  applyCoverageOverrides,
+  applyExclusions,
+  normalizeOverrides,
+  overrideAudit,
+  pinnedEndpoints
+} from "../../lib/overrides.js";
+import { readOutputFormat, sendResult } from "../../lib/report.js";
+import { readInlineSpec } from "../../lib/spec_source.js";
+import { fetchSpec, loadRefDocument, specErrorResponse } from "../../lib/spec_fetcher.js";
+import { discoverSpec } from "../../lib/spec_discovery.js";
 
 /** CORS */
 
@@ -71,17 +148,21 @@ function sanitizeUrl(raw) {
   }
 }
 
-function extractOpenApiUrl(text) {
-  if (!text || typeof text !== "string") return null;
+/** All URLs in user_request, sanitized, in order of appearance */
+function extractUrls(text) {
+  if (!text || typeof text !== "string") return [];
 
   const urlRegex = /(https?:\/\/[^\s'"<>]+|www\.[^\s'"<>]+)/gi;
   const rawCandidates = text.match(urlRegex) || [];
 
-  const candidates = rawCandidates
-    .map(sanitizeUrl)
-    .filter(Boolean);
+  return uniq(rawCandidates.map(sanitizeUrl).filter(Boolean));
+}
+
+/** Every URL in user_request that looks like a spec, in order of appearance */
+function extractOpenApiUrls(text) {
+  const candidates = extractUrls(text);
 
-  const likely = candidates.find((u) => {
+  return candidates.filter((u) => {
     const lower = u.toLowerCase();
     return (
       lower.includes("openapi") ||
@@ -93,69 +174,111 @@ function extractOpenApiUrl(text) {
       lower.includes("/swagger")
     );
   });
-
-  return likely || null;
 }
 
 
-/** Fetch + parse spec (JSON or YAML) */
-async function fetchSpec(specUrl) {
-  const r = await fetch(specUrl, {
-    method: "GET",
-    headers: { accept: "application/json, text/yaml, */*" },
+/**
+ * Endpoint inventory for matching: the shared surface map (schemas resolved,
+ * Swagger 2.0 normalized) plus the raw fields the ranker indexes. HEAD and
+ * OPTIONS operations, which the surface map leaves out, are indexed from the
+ * raw spec (mapped: null).
+ * specId tags each endpoint with the spec it came from.
+ */
+function extractEndpoints(openapi, resolver, surface, specId) {
+  const raw = new Map(listOperations(openapi).map((o) => [o.pointer, o]));
+
+  const endpoint = (entry, fields) => ({
+    kind: "operation",
+    spec: specId,
+    ...fields,
+    indexed: indexEndpoint({
+      method: fields.method,
+      path: fields.path,
+      operation_id: fields.operation_id,
+      summary: entry?.op?.summary || "",
+      description: typeof entry?.op?.description === "string" ? entry.op.description : "",
+      tags: fields.tags,
+      parameter_names: mergedParameters(resolver, entry?.pathItem, entry?.op).map((p) => p.param.name),
+      schema_titles: fields.schema_titles
+    }),
+    entry
   });
 
-  if (!r.ok) {
-    throw new Error(`Failed to fetch spec_url: ${r.status} ${r.statusText}`);
-  }
-
-  const text = (await r.text()).trim();
-  if (text.startsWith("{") || text.startsWith("[")) {
-    return JSON.parse(text);
-  }
-  return yaml.load(text);
+  const mapped = surface.endpoints.map((ep) =>
+    endpoint(raw.get(ep.pointer), {
+      method: ep.method,
+      path: ep.path,
+      purpose: ep.purpose === "No description" ? "" : ep.purpose,
+      operation_id: ep.operation_id,
+      tags: ep.tags,
+      schema_titles: uniq(
+        [
+          ep.request_schema?.schema?.name,
+          ep.request_schema?.schema?.items?.name,
+          ...ep.response_schemas.flatMap((r) => [r.schema?.name, r.schema?.items?.name])
+        ].filter(Boolean)
+      ),
+      collection: ep.collection,
+      bulk_async: ep.bulk_async,
+      mapped: ep
+    })
+  );
+
+  const unmapped = listOperations(openapi, ["head", "options"]).map((entry) =>
+    endpoint(entry, {
+      method: entry.method,
+      path: entry.path,
+      purpose: entry.op.summary || (typeof entry.op.description === "string" ? entry.op.description.split("\n")[0] : ""),
+      operation_id: typeof entry.op.operationId === "string" ? entry.op.operationId : null,
+      tags: Array.isArray(entry.op.tags) ? entry.op.tags.filter((t) => typeof t === "string") : [],
+      schema_titles: [],
+      collection: false,
+      bulk_async: null,
+      mapped: null
+    })
+  );
+
+  return [...mapped, ...unmapped];
 }
 
-/** Extract endpoints from OpenAPI */
-function extractEndpoints(openapi) {
-  const paths = openapi?.paths || {};
-  const endpoints = [];
-
-  const METHODS = ["get", "post", "put", "patch", "delete", "head", "options"];
-
-  for (const [path, ops] of Object.entries(paths)) {
-    if (!ops || typeof ops !== "object") continue;
-
-    for (const m of METHODS) {
-      const op = ops[m];
-      if (!op || typeof op !== "object") continue;
-
-      const purpose =
-        op.summary ||
-        (typeof op.description === "string"
-          ? op.description.split("\n")[0]
-          : "") ||
-        "";
-
-      endpoints.push({
-        method: m.toUpperCase(),
-        path,
-        purpose,
-      });
-    }
-  }
+/**
+ * Webhook/callback events from the surface map, indexed like endpoints.
+ * method is "WEBHOOK" or "CALLBACK" and path is the event name.
+ */
+function extractEvents(openapi, resolver, surface, specId) {
+  const raw = new Map(listWebhookOperations(openapi, resolver).map((o) => [o.pointer, o]));
+
+  return surface.webhooks.events.map((ev) => {
+    const entry = raw.get(ev.pointer);
+    const method = ev.source === "callback" ? "CALLBACK" : "WEBHOOK";
+
+    const indexed = indexEndpoint({
+      kind: "event",
+      method,
+      path: ev.name,
+      operation_id: ev.operation_id,
+      summary: entry?.op?.summary || "",
+      description: typeof entry?.op?.description === "string" ? entry.op.description : "",
+      tags: [ev.source === "callback" ? "callback" : "webhook", ...(Array.isArray(entry?.op?.tags) ? entry.op.tags : [])],
+      parameter_names: [],
+      schema_titles: [ev.payload?.schema?.name].filter(Boolean)
+    });
 
-  return endpoints;
+    return {
+      kind: "event",
+      spec: specId,
+      method,
+      path: ev.name,
+      purpose: ev.purpose === "No description" ? "" : ev.purpose,
+      operation_id: ev.operation_id,
+      event: { source: ev.source, pointer: ev.pointer, expression: ev.expression, subscription: ev.subscription },
+      indexed,
+      entry
+    };
+  });
 }
 
 /** Extract "capabilities" from user_request */
-const STOPWORDS = new Set([
-  "we", "want", "to", "and", "or", "the", "a", "an", "of", "for", "with", "into",
-  "our", "system", "tool", "platform", "integrate", "integration", "support",
-  "must", "should", "can", "need", "needed", "required", "able", "allow",
-  "via", "using", "based", "on", "from", "in", "at", "as", "by", "be",
-]);
-
 const ACTION_VERBS = [
   "create", "add", "update", "edit", "delete", "remove",
   "get", "fetch", "read", "retrieve", "list", "search",
@@ -172,19 +295,25 @@ function normalizeLine(line) {
 }
 
 function splitIntoCandidatePhrases(text) {
-  // Break into lines + also split long lines by separators
-  const lines = text.split("\n").map(normalizeLine).filter(Boolean);
+  // Break into lines and sentences + also split long sentences by separators.
+  // Constraint wording is removed first ("must use OAuth2 client credentials",
+  // "EU data residency"), so it neither reads as a capability nor is matched.
+  const sentences = text
+    .split("\n")
+    .flatMap((line) => line.split(/[.!?](?=\s|$)/))
+    .map((s) => normalizeLine(stripConstraints(s)))
+    .filter(Boolean);
   const phrases = [];
 
-  for (const line of lines) {
+  for (const sentence of sentences) {
     // If capability list, split aggressively
-    const parts = line
+    const parts = sentence
       .split(/;|,|\u2022|\||\/|\band\b|\bor\b/i)
       .map((p) => p.trim())
       .filter(Boolean);
 
     
-    phrases.push(line, ...parts);
+    phrases.push(sentence, ...parts);
   }
 
   return phrases
@@ -229,20 +358,95 @@ function extractCapabilities(userRequest, maxCapabilities = 25) {
     "Receive events/webhooks from the target system",
   ];
 
-  return fallback.slice(0, clamp(maxCapabilities, 5, 60));
+  return fallback.slice(0, clamp(maxCapabilities, 1, 60));
 }
 
-/** Match capabilities to endpoints */
+/** Capability priorities and their weight in coverage_score */
+const PRIORITY_WEIGHTS = { must: 3, should: 2, could: 1 };
+const DEFAULT_PRIORITY = "should";
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Validate the structured `capabilities` input.
+ * Items may be plain strings or { id, text, priority, method, entity }.
+ * Returns { capabilities } or { error } (message for a 400).
+ */
+function normalizeCapabilities(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "capabilities must be a non-empty array." };
+  }
 
-function tokenize(s) {
-  return (s || "")
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, " ")
-    .split(/\s+/)
-    .filter(Boolean)
-    .filter((t) => !STOPWORDS.has(t));
+  const capabilities = [];
+  const ids = new Set();
+
+  for (const [i, item] of input.entries()) {
+    const raw = typeof item === "string" ? { text: item } : item;
+    if (!raw || typeof raw !== "object" || typeof raw.text !== "string" || !raw.text.trim()) {
+      return { error: `capabilities[${i}].text is required (string).` };
+    }
+
+    const id = raw.id !== undefined && raw.id !== null ? String(raw.id) : `cap-${i + 1}`;
+    if (ids.has(id)) return { error: `capabilities[${i}].id "${id}" is not unique.` };
+    ids.add(id);
+
+    const priority = raw.priority ? String(raw.priority).toLowerCase() : DEFAULT_PRIORITY;
+    if (!PRIORITY_WEIGHTS[priority]) {
+      return { error: `capabilities[${i}].priority must be one of: ${Object.keys(PRIORITY_WEIGHTS).join(", ")}.` };
+    }
+
+    const method = raw.method ? String(raw.method).toUpperCase() : null;
+    if (method && !HTTP_METHODS.includes(method)) {
+      return { error: `capabilities[${i}].method must be one of: ${HTTP_METHODS.join(", ")}.` };
+    }
+
+    const entity = typeof raw.entity === "string" && raw.entity.trim() ? raw.entity.trim() : null;
+    capabilities.push({ id, text: raw.text.trim(), priority, method, entity });
+  }
+
+  return { capabilities };
+}
+
+/** Free-text capabilities get ids and the default priority */
+function fromExtracted(texts) {
+  return texts.map((text, i) => ({ id: `cap-${i + 1}`, text, priority: DEFAULT_PRIORITY, method: null, entity: null }));
+}
+
+/** coverage_score (0-100) weighted by priority; full=1, partial=0.5, missing=0 */
+function weightedCoverageScore(matrix) {
+  const credit = { full: 1, partial: 0.5, missing: 0 };
+  let total = 0;
+  let earned = 0;
+
+  for (const m of matrix) {
+    const weight = PRIORITY_WEIGHTS[m.priority] || PRIORITY_WEIGHTS[DEFAULT_PRIORITY];
+    total += weight;
+    earned += weight * (credit[m.coverage] || 0);
+  }
+  return total === 0 ? 0 : Math.round((earned / total) * 100);
+}
+
+/** Per-priority counts + missing "must" capabilities */
+function priorityRollup(matrix) {
+  const by_priority = {};
+  for (const priority of Object.keys(PRIORITY_WEIGHTS)) {
+    const rows = matrix.filter((m) => m.priority === priority);
+    by_priority[priority] = {
+      total: rows.length,
+      full: rows.filter((m) => m.coverage === "full").length,
+      partial: rows.filter((m) => m.coverage === "partial").length,
+      missing: rows.filter((m) => m.coverage === "missing").length
+    };
+  }
+
+  const blocking_gaps = matrix
+    .filter((m) => m.priority === "must" && m.coverage === "missing")
+    .map((m) => ({ id: m.id, capability: m.capability, gap: m.gaps[0] || "No endpoint evidence found." }));
+
+  return { by_priority, blocking_gaps };
 }
 
+/** Match capabilities to endpoints */
+
 function inferPreferredMethods(capability) {
   const c = capability.toLowerCase();
   if (c.includes("delete") || c.includes("remove")) return ["DELETE"];
@@ -254,40 +458,91 @@ function inferPreferredMethods(capability) {
   return [];
 }
 
-function endpointText(ep) {
-  return `${ep.method} ${ep.path} ${ep.purpose || ""}`.toLowerCase();
+/** Interchangeable timestamp suffixes: "created date" = created_at = createdOn */
+const TIMESTAMP_SUFFIXES = new Set(["date", "time", "timestamp", "at", "on"].map(stem));
+
+/**
+ * Does a parameter name (or one of its enum values, for sort) carry a filter/sort term?
+ * Timestamp suffixes are left out of the comparison unless the term is only a suffix.
+ */
+function paramCarriesTerm(param, term) {
+  const names = [param.name, ...(term.sort && Array.isArray(param.enum) ? param.enum.map(String) : [])];
+  const core = term.stems.filter((s) => !TIMESTAMP_SUFFIXES.has(s));
+  const wanted = core.length ? core : term.stems;
+  return names.some((n) => {
+    const stems = splitIdentifier(n).map(stem);
+    return wanted.every((s) => stems.includes(s));
+  });
 }
 
-function scoreMatch(capabilityTokens, ep, preferredMethods) {
-  const text = endpointText(ep);
+/**
+ * For list/search/sync capabilities: pagination, filters and sort of the best
+ * matching GET collection, as answered by the spec (lib/pagination.js).
+ * Returns { list_support, gaps }; list_support is null when no collection matched.
+ */
+function assessListSupport(cap, top) {
+  const match = top.find((e) => e.kind === "operation" && e.collection && e.confidence > 0);
+  if (!match) {
+    return {
+      list_support: null,
+      gaps: ["None of the matched endpoints is a GET collection; listing may need a different endpoint or an export."]
+    };
+  }
+
+  const { collection } = match;
+  const gaps = [];
+  const terms = extractFilterTerms(cap).map((term) => {
+    const params = term.sort ? collection.sort : collection.filters;
+    const param = params.find((p) => paramCarriesTerm(p, term));
+    return { term: term.term, sort: term.sort, parameter: param ? param.name : null };
+  });
 
-  // Token overlap score
-  let hit = 0;
-  for (const t of capabilityTokens) {
-    if (text.includes(t)) hit += 1;
+  if (!collection.paginated) {
+    gaps.push(`${match.method} ${match.path} returns a list but declares no pagination; confirm whether results are paginated or capped.`);
   }
-  const overlap = capabilityTokens.length ? hit / capabilityTokens.length : 0;
-
-  // Method bonus if method aligns with inferred action
-  const methodBonus = preferredMethods.length && preferredMethods.includes(ep.method) ? 0.15 : 0;
-
-  // Webhook/event/callback
-  const isWebhookCap = capabilityTokens.some((t) => ["webhook", "event", "callback"].includes(t));
-  const webhookBonus =
-    isWebhookCap && (text.includes("webhook") || text.includes("event") || text.includes("callback") || text.includes("hook"))
-      ? 0.25
-      : 0;
-
-  // Search/list
-  const isSearchCap = capabilityTokens.some((t) => ["search", "query", "find", "list"].includes(t));
-  const searchBonus =
-    isSearchCap && (text.includes("search") || text.includes("query") || text.includes("find") || text.includes("list"))
-      ? 0.15
-      : 0;
-
-  return clamp(overlap + methodBonus + webhookBonus + searchBonus, 0, 1);
+  for (const t of terms.filter((x) => !x.parameter)) {
+    const fallback = !t.sort && collection.search_parameter ? ` (free-text search via "${collection.search_parameter}" may cover it)` : "";
+    gaps.push(`${match.method} ${match.path} has no ${t.sort ? "sort" : "filter"} parameter for "${t.term}"${fallback}.`);
+  }
+
+  return {
+    list_support: {
+      endpoint: `${match.method} ${match.path}`,
+      paginated: collection.paginated,
+      pagination_styles: collection.pagination.styles,
+      page_size: collection.pagination.page_size,
+      filters: collection.filters.map((f) => f.name),
+      sort: collection.sort.map((x) => x.name),
+      search_parameter: collection.search_parameter,
+      requested_criteria: terms
+    },
+    gaps
+  };
+}
+
+const LIFECYCLE_LABELS = { create: "create", read: "read one", list: "list", update: "update (PUT/PATCH)", delete: "delete" };
+
+/** Structured resource evidence: lifecycle operations available for the matched resource */
+function describeResource(match) {
+  const { resource } = match;
+  return {
+    spec: resource.spec,
+    name: resource.name,
+    path: resource.path,
+    parent: resource.parent,
+    matched_by: match.synonym ? `${match.token}≈${resource.name}` : match.token,
+    operations: resource.operations,
+    actions: resource.actions,
+    lifecycle: resource.lifecycle
+  };
 }
 
+/** Ranking bonus for batch/async/file-transfer endpoints on bulk capabilities */
+const BULK_EVIDENCE_BONUS = 0.15;
+
+/** Matches this close to the strongest one count as equivalent evidence for deprecation risk */
+const DEPRECATION_TIE = 0.05;
+
 function coverageLabel(confidence) {
   
   if (confidence >= 0.75) return "full";
@@ -295,6 +550,260 @@ function coverageLabel(confidence) {
   return "missing";
 }
 
+/** Rows whose coverage rests only on deprecated or sunset operations */
+function deprecationRollup(matrix) {
+  return matrix
+    .filter((m) => m.deprecation_risk)
+    .map((m) => ({
+      id: m.id,
+      capability: m.capability,
+      endpoints: m.deprecation_risk.endpoints.map((e) => `${e.spec} ${e.endpoint}`),
+      earliest_sunset: m.deprecation_risk.earliest_sunset,
+    }));
+}
+
+/** { satisfied, violated, unknown } counts */
+function constraintRollup(checked) {
+  const counts = { satisfied: 0, violated: 0, unknown: 0 };
+  for (const c of checked) counts[c.status] += 1;
+  return counts;
+}
+
+/** Ranked evidence entry; source is "heuristic" (matcher) or "override" (reviewer pin) */
+function candidateEvidence(ep, source, confidence, reason, hits) {
+  return {
+    kind: ep.kind,
+    source,
+    spec: ep.spec,
+    method: ep.method,
+    path: ep.path,
+    purpose: ep.purpose || "",
+    operation_id: ep.operation_id,
+    event: ep.event || null,
+    collection: ep.collection || null,
+    bulk_async: ep.bulk_async || null,
+    status: operationStatus(ep.mapped),
+    confidence,
+    reason,
+    hits,
+    endpoint: ep,
+  };
+}
+
+/**
+ * One matrix row: rank the pool's endpoints/events for a capability and turn
+ * the best evidence into coverage, gaps and next questions.
+ * pool: { specIds, endpoints, events, resources } of one spec or of all specs combined.
+ * lookup: { fieldsFor(endpoint), scopeIndexFor(specId) }
+ * pinned: reviewer-pinned pool endpoints ({ endpoint, note }, lib/overrides.js)
+ */
+function assessCapability(capability, pool, lookup, maxEvidence, pinned = []) {
+  const { id, text: cap, priority, method, entity } = capability;
+
+  // Attributes are verified against schema fields below, so they don't dilute endpoint ranking
+  const attributes = extractAttributes(cap);
+  const attributeStems = new Set(attributes.flatMap((a) => a.stems));
+  const allTokens = tokenizeCapability(entity ? `${entity} ${cap}` : cap);
+  const resourceTokens = allTokens.filter((t) => !attributeStems.has(t.stem));
+  const tokens = resourceTokens.length ? resourceTokens : allTokens;
+  const preferredMethods = method ? [method] : inferPreferredMethods(cap);
+
+  // Event capabilities also rank the webhook/callback inventory
+  const event = isEventCapability(tokens);
+  const candidates = event ? [...pool.events, ...pool.endpoints] : pool.endpoints;
+  const bulk = isBulkCapability(allTokens);
+
+  const scored = candidates
+    .map((ep) => {
+      // reason names the field (and synonym) behind each keyword hit
+      const scoredEp = scoreEndpoint(tokens, ep.indexed, preferredMethods);
+      let { confidence, reason } = scoredEp;
+
+      // Bulk/import/export capabilities: batch bodies, 202 jobs and file transfers are the better evidence
+      if (bulk && ep.bulk_async && confidence > 0) {
+        confidence = Math.min(1, confidence + BULK_EVIDENCE_BONUS);
+        reason = `${reason}; bulk/async: ${ep.bulk_async.signals.join(", ")}`;
+      }
+
+      // Prefer current operations: deprecated, sunset and superseded (older version) ones rank lower
+      const matched = confidence;
+      const { penalty, detail } = operationStatus(ep.mapped);
+      if (penalty && confidence > 0) {
+        confidence = Math.max(0, confidence - penalty);
+        reason = `${reason}; ${detail}`;
+      }
+
+      return { ...candidateEvidence(ep, "heuristic", confidence, reason, scoredEp.hits), matched_confidence: matched };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+
+  // Human-asserted evidence leads; heuristic matches fill the remaining slots
+  const asserted = pinned.map(({ endpoint: ep, note }) => ({
+    ...candidateEvidence(ep, "override", 1, note ? `pinned by reviewer: ${note}` : "pinned by reviewer", []),
+    matched_confidence: 1,
+  }));
+  const heuristic = scored.filter((e) => !pinned.some((p) => p.endpoint === e.endpoint));
+  const top = [...asserted, ...heuristic.slice(0, clamp(maxEvidence, 1, 10))];
+  const best = top[0]?.confidence ?? 0;
+
+  let cov = coverageLabel(best);
+  let confidence = best;
+
+  // Structured entity: the resource (from the surface map resource model) this capability is about
+  const entityTokens = entity ? tokenizeCapability(entity) : tokens;
+  const resourceMatch = matchResource(entityTokens, pool.resources);
+  const resource = resourceMatch ? describeResource(resourceMatch) : null;
+
+  // "Full lifecycle management of X" is answered by the resource's CRUD coverage
+  const lifecycleGaps = [];
+  let lifecycleMissing = [];
+  if (resource && isLifecycleCapability(allTokens)) {
+    const { missing } = resource.lifecycle;
+    const present = 5 - missing.length;
+    if (!missing.length) {
+      cov = "full";
+      confidence = Math.max(confidence, 0.9);
+    } else {
+      cov = present >= 2 ? "partial" : "missing";
+      confidence = Math.min(Math.max(confidence, present / 5), 0.74);
+      lifecycleMissing = missing.map((op) => LIFECYCLE_LABELS[op]);
+      lifecycleGaps.push(`Resource "${resource.name}" lacks: ${lifecycleMissing.join(", ")}.`);
+    }
+  }
+
+  const gaps = [...lifecycleGaps];
+
+  // Coverage resting only on deprecated or sunset operations is a migration risk: the
+  // strongest matches (before the deprecation penalty) have no current equivalent
+  const strongest = Math.max(0, ...top.map((e) => e.matched_confidence));
+  const supporting = strongest >= 0.45 ? top.filter((e) => e.matched_confidence >= strongest - DEPRECATION_TIE) : [];
+  let deprecation_risk = null;
+  if (supporting.length && supporting.every((e) => e.status.status === "deprecated" || e.status.status === "sunset")) {
+    const sunsets = supporting.map((e) => e.endpoint.mapped?.deprecation?.sunset).filter(Boolean).sort();
+    deprecation_risk = {
+      endpoints: supporting.map((e) => ({ spec: e.spec, endpoint: `${e.method} ${e.path}`, status: e.status.status, detail: e.status.detail })),
+      earliest_sunset: sunsets[0] || null,
+      sunset_passed: supporting.some((e) => e.status.status === "sunset"),
+    };
+    gaps.push(
+      `Coverage relies only on deprecated operations (${deprecation_risk.endpoints.map((e) => `${e.endpoint}: ${e.detail}`).join("; ")}); plan the migration before building on them.`
+    );
+    // Past its sunset date the operation may already be gone
+    if (deprecation_risk.sunset_passed && cov === "full") cov = "partial";
+  }
+
+  // Field-level coverage: can the matched endpoints actually carry the requested attributes?
+  const field_coverage = attributes.length
+    ? matchAttributes(attributes, top.filter((e) => e.confidence > 0).map((e) => lookup.fieldsFor(e.endpoint)))
+    : null;
+
+  if (field_coverage?.missing.length) {
+    if (cov === "full") cov = "partial";
+    gaps.push(
+      field_coverage.verifiable
+        ? `Requested field(s) not found in the request/response schemas of the matched endpoints: ${field_coverage.missing.join(", ")}.`
+        : `Matched endpoints declare no request/response schemas, so requested field(s) could not be verified: ${field_coverage.missing.join(", ")}.`
+    );
+  }
+
+  // List/search/sync: the spec usually answers pagination and filter questions itself
+  const listAssessment = cov !== "missing" && isListCapability(allTokens) ? assessListSupport(cap, top) : null;
+  // A matched batch/async/file endpoint answers bulk reads without a GET collection
+  const bulkMatched = top.some((e) => e.bulk_async && e.confidence > 0);
+  if (listAssessment && !(bulkMatched && !listAssessment.list_support)) gaps.push(...listAssessment.gaps);
+
+  if (bulk && !bulkMatched) {
+    gaps.push("No batch, async job or file-transfer endpoint matched; large volumes would go through paginated reads and single-record writes.");
+  }
+
+  if (cov === "missing") {
+    gaps.push("No strong endpoint evidence found for this capability in the OpenAPI spec.");
+  } else if (cov === "partial") {
+    gaps.push("Some evidence exists, but coverage is incomplete or ambiguous from the spec alone.");
+  }
+
+  // Questions built from the evidence itself (required inputs, filters, scopes, near misses)
+  const next_questions = groundedQuestions(
+    {
+      capability: cap,
+      coverage: cov,
+      tokens,
+      top,
+      field_coverage,
+      list_support: listAssessment?.list_support || null,
+      bulk,
+      bulk_matched: bulkMatched,
+      deprecation_risk,
+      event,
+      resource,
+      lifecycle_missing: lifecycleMissing,
+    },
+    { ...lookup, specIds: pool.specIds, hasEvents: pool.events.length > 0 }
+  );
+
+  return {
+    id,
+    capability: cap,
+    priority,
+    coverage: cov,
+    confidence: Number(confidence.toFixed(2)),
+    resource,
+    evidence: top.map((e) => ({
+      kind: e.kind,
+      source: e.source,
+      spec: e.spec,
+      method: e.method,
+      path: e.path,
+      purpose: e.purpose,
+      ...(e.event ? { event: e.event } : {}),
+      ...(e.bulk_async ? { bulk_async: e.bulk_async.kinds } : {}),
+      ...(e.status.status !== "current" ? { operation_status: { status: e.status.status, detail: e.status.detail } } : {}),
+      confidence: Number(e.confidence.toFixed(2)),
+      reason: e.reason,
+      hits: e.hits,
+    })),
+    field_coverage,
+    list_support: listAssessment ? listAssessment.list_support : null,
+    deprecation_risk,
+    gaps,
+    next_questions,
+  };
+}
+
+/** Specs fetched per request (explicit spec_urls or URLs found in user_request) */
+const MAX_SPECS = 10;
+
+/**
+ * Resolve, map and index one fetched spec for matching. Endpoints, events and
+ * resources carry the spec id, so evidence names the spec it came from.
+ */
+async function loadSpec(id, { openapi, source }) {
+  const baseUrl = source.final_url || null;
+  const resolver = await createResolver(openapi, { baseUrl, loadDocument: loadRefDocument });
+  const surface = normalizeSurfaceMap(openapi, resolver, baseUrl);
+
+  return {
+    id,
+    openapi,
+    resolver,
+    surface,
+    source,
+    endpoints: extractEndpoints(openapi, resolver, surface, id),
+    events: extractEvents(openapi, resolver, surface, id),
+    resources: surface.resources.map((resource) => ({ ...resource, spec: id }))
+  };
+}
+
+/** Coverage counts + priority-weighted score for a set of rows */
+function coverageSummary(rows) {
+  return {
+    coverage_score: weightedCoverageScore(rows),
+    full_count: rows.filter((m) => m.coverage === "full").length,
+    partial_count: rows.filter((m) => m.coverage === "partial").length,
+    missing_count: rows.filter((m) => m.coverage === "missing").length
+  };
+}
+
 /** Main handler */
 export default async function handler(req, res) {
   setCors(res);
@@ -315,7 +824,7 @@ export default async function handler(req, res) {
   }
 
   const params = readParams(body);
-  const user_request = params?.user_request;
+  const user_request = typeof params?.user_request === "string" ? params.user_request : "";
   const max_capabilities = Number.isFinite(params?.max_capabilities)
     ? params.max_capabilities
     : 25;
@@ -323,7 +832,65 @@ export default async function handler(req, res) {
     ? params.max_evidence_per_capability
     : 3;
 
-  if (!user_request || typeof user_request !== "string") {
+  const { format, error: formatError } = readOutputFormat(params);
+  if (formatError) {
+    return res.status(400).json({ error: formatError, example: { output_format: "markdown" } });
+  }
+
+  // Structured capabilities bypass extraction from user_request
+  let provided = null;
+  if (params?.capabilities !== undefined && params?.capabilities !== null) {
+    const normalized = normalizeCapabilities(params.capabilities);
+    if (normalized.error) {
+      return res.status(400).json({
+        error: normalized.error,
+        example: {
+          capabilities: [
+            { id: "CAP-1", text: "Create customer", priority: "must", method: "POST", entity: "customer" },
+            { id: "CAP-2", text: "Receive order webhooks", priority: "should" },
+          ],
+        },
+      });
+    }
+    provided = normalized.capabilities;
+  }
+
+  // Reviewer overrides: pinned endpoints, exclusions, forced coverage labels
+  let overrides = { exclude: [], pins: [], coverage: [] };
+  const hasOverrides = params?.overrides !== undefined && params?.overrides !== null;
+  if (hasOverrides) {
+    const normalized = normalizeOverrides(params.overrides);
+    if (normalized.error) {
+      return res.status(400).json({
+        error: normalized.error,
+        example: {
+          overrides: {
+            exclude: ["/internal", "/admin"],
+            pins: [{ capability: "Create customer", endpoint: "POST /v2/profiles", note: "Profiles are customers in v2" }],
+            coverage: [{ capability: "cap-2", coverage: "partial", note: "Webhooks only cover order creation", reviewer: "jdoe" }],
+          },
+        },
+      });
+    }
+    overrides = normalized.overrides;
+  }
+
+  // Explicit spec URLs replace the ones found in user_request
+  let explicitSpecUrls = null;
+  if (params?.spec_urls !== undefined && params?.spec_urls !== null) {
+    const urls = Array.isArray(params.spec_urls) ? params.spec_urls.map(sanitizeUrl) : [];
+    if (!urls.length || urls.some((u) => !u) || urls.length > MAX_SPECS) {
+      return res.status(400).json({
+        error: `spec_urls must be a non-empty array of up to ${MAX_SPECS} URLs.`,
+        example: {
+          spec_urls: ["https://example.com/commerce/openapi.json", "https://example.com/events/openapi.yaml"],
+        },
+      });
+    }
+    explicitSpecUrls = uniq(urls);
+  }
+
+  if (!user_request && !provided) {
     return res.status(400).json({
       error: "user_request is required (string).",
       example: {
@@ -333,128 +900,183 @@ export default async function handler(req, res) {
     });
   }
 
-  // Find OpenAPI URL
-  const spec_url = extractOpenApiUrl(user_request);
+  const capabilities = provided || fromExtracted(extractCapabilities(user_request, max_capabilities));
+  const extracted_capabilities = capabilities.map((c) => c.text);
+  const capabilities_source = provided ? "provided" : "extracted";
+  const constraints = extractConstraints(user_request);
 
-  if (!spec_url) {
-    // No spec URL > produce a matrix with unknown evidence
-    const extracted_capabilities = extractCapabilities(user_request, max_capabilities);
+  // Inline spec (spec_content / spec_base64) takes precedence over a URL in the text
+  let inline = null;
+  try {
+    inline = readInlineSpec(params);
+  } catch (err) {
+    const { status, body: errorBody } = specErrorResponse(err, "Failed to parse inline spec content.");
+    return res.status(status).json(errorBody);
+  }
 
-    const matrix = extracted_capabilities.map((cap) => ({
-      capability: cap,
+  // Spec URLs: the explicit list, else every spec-looking URL in the text
+  let spec_urls = inline ? [] : explicitSpecUrls || extractOpenApiUrls(user_request).slice(0, MAX_SPECS);
+
+  // No spec-looking URL: treat the first other URL as a docs page and try to discover the spec
+  let discovery = null;
+  if (!inline && !spec_urls.length) {
+    const pageUrl = extractUrls(user_request)[0];
+    if (pageUrl) {
+      discovery = await discoverSpec(pageUrl);
+      if (discovery.found) spec_urls = [discovery.spec_url];
+    }
+  }
+  const spec_url = spec_urls[0] || null;
+
+  const discoveryReport = discovery
+    ? { page_url: discovery.page_url, found: discovery.found, spec_url: discovery.spec_url, via: discovery.via, steps: discovery.steps }
+    : null;
+
+  if (!inline && !spec_url) {
+    // No spec URL > produce a matrix with unknown evidence
+    const matrix = capabilities.map((cap) => ({
+      id: cap.id,
+      capability: cap.text,
+      priority: cap.priority,
       coverage: "missing",
       confidence: 0,
       evidence: [],
-      gaps: ["No OpenAPI/Swagger URL found in user_request, so endpoints could not be verified."],
-      next_questions: [
-        "Can you provide an OpenAPI/Swagger spec URL (preferred) or official API docs link?",
-        "Which auth method is supported (OAuth, API key, service account)?",
-        "Are webhooks/events available? If yes, what event types and delivery guarantees exist?",
+      gaps: [
+        discovery
+          ? `No OpenAPI/Swagger spec could be discovered from ${discovery.page_url}, so endpoints could not be verified.`
+          : "No OpenAPI/Swagger URL found in user_request, so endpoints could not be verified.",
       ],
+      next_questions: noSpecQuestions(cap.text, {
+        discovery,
+        event: isEventCapability(tokenizeCapability(cap.text)),
+      }),
     }));
 
-    return res.status(200).json({
-      input: { spec_url: null },
+    const checked = uncheckedConstraints(constraints, "No spec available, so this constraint could not be checked.");
+    const coverageAudit = applyCoverageOverrides(matrix, overrides.coverage, capabilities);
+
+    return sendResult(res, "coverage_matrix", format, {
+      input: { spec_url: null, spec_urls: [], spec_source: null, discovery: discoveryReport, capabilities_source },
       extracted_capabilities,
       overall: {
-        coverage_score: 0,
-        full_count: 0,
-        partial_count: 0,
-        missing_count: matrix.length,
+        // All missing unless a reviewer forced a label
+        ...coverageSummary(matrix),
         confidence: 0,
-        notes: ["No spec URL found; matrix is conservative (missing)."],
+        ...priorityRollup(matrix),
+        deprecation_risks: deprecationRollup(matrix),
+        constraints: constraintRollup(checked),
+        notes: [
+          discovery
+            ? "Spec discovery found no spec (see input.discovery.steps); matrix is conservative (missing)."
+            : "No spec URL found; matrix is conservative (missing).",
+        ],
       },
       matrix,
+      constraints: checked,
+      ...(hasOverrides ? { overrides: overrideAudit(overrides, { capabilities, coverage: coverageAudit }) } : {}),
     });
   }
 
   try {
-    // Fetch and parse spec
-    const openapi = await fetchSpec(spec_url);
-
-    // Extract endpoints
-    const endpoints = extractEndpoints(openapi);
-
-    // Extract capabilities
-    const extracted_capabilities = extractCapabilities(user_request, max_capabilities);
-
-    // Build matrix
-    const matrix = extracted_capabilities.map((cap) => {
-      const tokens = tokenize(cap);
-      const preferredMethods = inferPreferredMethods(cap);
-
-      const scored = endpoints
-        .map((ep) => {
-          const confidence = scoreMatch(tokens, ep, preferredMethods);
-
-          // Build a short reason string for traceability
-          const reasons = [];
-          if (preferredMethods.length && preferredMethods.includes(ep.method)) reasons.push("method aligns");
-          const text = endpointText(ep);
-          const hitTokens = tokens.filter((t) => text.includes(t));
-          if (hitTokens.length) reasons.push(`keyword hits: ${hitTokens.slice(0, 6).join(", ")}`);
-          if (text.includes("webhook") || text.includes("event") || text.includes("callback")) reasons.push("webhook/event signal");
-
-          return {
-            method: ep.method,
-            path: ep.path,
-            purpose: ep.purpose || "",
-            confidence,
-            reason: reasons.length ? reasons.join("; ") : "semantic keyword match",
-          };
-        })
-        .sort((a, b) => b.confidence - a.confidence);
-
-      const top = scored.slice(0, clamp(max_evidence_per_capability, 1, 10));
-      const best = top[0]?.confidence ?? 0;
-
-      const cov = coverageLabel(best);
-
-      const gaps = [];
-      const next_questions = [];
-
-      if (cov === "missing") {
-        gaps.push("No strong endpoint evidence found for this capability in the OpenAPI spec.");
-        next_questions.push(
-          "Is this capability supported via a different API version or a separate product API?",
-          "Is the capability implemented via webhooks/events instead of direct endpoints?",
-          "Are there private/beta endpoints not included in the public OpenAPI spec?"
-        );
-      } else if (cov === "partial") {
-        gaps.push("Some evidence exists, but coverage is incomplete or ambiguous from the spec alone.");
-        next_questions.push(
-          "Confirm required request/response schemas and whether the endpoint supports needed filters/fields.",
-          "Confirm rate limits and pagination behavior for this capability at the expected usage."
-        );
+    // Fetch every spec concurrently (or use the inline / discovered one), then map and index each
+    const fetches = inline ? [inline] : discovery?.found ? [discovery] : spec_urls.map((url) => fetchSpec(url));
+    const settled = await Promise.allSettled(
+      fetches.map((fetched, i) => Promise.resolve(fetched).then((f) => loadSpec(`spec-${i + 1}`, f)))
+    );
+
+    // Excluded endpoints (overrides.exclude) never become evidence
+    const excluded = new Map(overrides.exclude.map((rule) => [rule.rule, []]));
+    const specs = settled
+      .filter((r) => r.status === "fulfilled")
+      .map((r) => applyExclusions(r.value, overrides.exclude, excluded));
+    if (!specs.length) throw settled[0].reason;
+    const specById = new Map(specs.map((spec) => [spec.id, spec]));
+
+    // Matching pool across all specs
+    const pool = {
+      specIds: specs.map((spec) => spec.id),
+      endpoints: specs.flatMap((spec) => spec.endpoints),
+      events: specs.flatMap((spec) => spec.events),
+      resources: specs.flatMap((spec) => spec.resources),
+    };
+
+    // Schema fields per endpoint, computed only for endpoints that end up as evidence
+    const fieldCache = new Map();
+    const fieldsFor = (ep) => {
+      const key = `${ep.spec} ${ep.method} ${ep.path}`;
+      if (!fieldCache.has(key)) {
+        const { resolver, openapi } = specById.get(ep.spec);
+        const fields = ep.entry ? operationSchemaFields(resolver, openapi, ep.entry) : { request: [], response: [] };
+        fieldCache.set(key, { endpoint: `${ep.method} ${ep.path}`, ...fields });
       }
+      return fieldCache.get(key);
+    };
+    const lookup = { fieldsFor, scopeIndexFor: (id) => specById.get(id).surface.auth.scope_index };
+
+    // Build matrix (evidence from every spec). Pinned rows keep the heuristic result for the audit trail.
+    const pinStatus = new Map();
+    const matrix = capabilities.map((c) => {
+      const pinned = pinnedEndpoints(c, pool, overrides.pins, pinStatus);
+      const row = assessCapability(c, pool, lookup, max_evidence_per_capability, pinned);
+      if (pinned.length) {
+        const heuristic = assessCapability(c, pool, lookup, max_evidence_per_capability);
+        const topMatch = heuristic.evidence[0];
+        row.override = {
+          pinned: pinned.map(({ endpoint: ep, note }) => ({ spec: ep.spec, endpoint: `${ep.method} ${ep.path}`, note })),
+          heuristic: {
+            coverage: heuristic.coverage,
+            confidence: heuristic.confidence,
+            top_match: topMatch ? `${topMatch.spec} ${topMatch.method} ${topMatch.path}` : null,
+          },
+        };
+      }
+      return row;
+    });
 
-      return {
-        capability: cap,
-        coverage: cov,
-        confidence: Number(best.toFixed(2)),
-        evidence: top.map((e) => ({
-          method: e.method,
-          path: e.path,
-          purpose: e.purpose,
-          confidence: Number(e.confidence.toFixed(2)),
-          reason: e.reason,
-        })),
-        gaps,
-        next_questions,
-      };
+    // Per-spec rows: how far each spec gets on its own
+    const rowsBySpec = new Map(
+      specs.map((spec) => [
+        spec.id,
+        specs.length === 1
+          ? matrix
+          : capabilities.map((c) => {
+              const specPool = { ...spec, specIds: [spec.id] };
+              return assessCapability(c, specPool, lookup, max_evidence_per_capability, pinnedEndpoints(c, specPool, overrides.pins));
+            }),
+      ])
+    );
+    matrix.forEach((row, i) => {
+      row.coverage_by_spec = Object.fromEntries(specs.map((spec) => [spec.id, rowsBySpec.get(spec.id)[i].coverage]));
     });
 
-    const full_count = matrix.filter((m) => m.coverage === "full").length;
-    const partial_count = matrix.filter((m) => m.coverage === "partial").length;
-    const missing_count = matrix.filter((m) => m.coverage === "missing").length;
+    const specReport = settled.map((r, i) => {
+      const id = `spec-${i + 1}`;
+      const url = discovery?.found ? discovery.spec_url : spec_urls[i] || null;
+      if (r.status === "rejected") {
+        const { body: errorBody } = specErrorResponse(r.reason, "Failed to load spec.");
+        return { id, url, status: "failed", code: errorBody.code, details: errorBody.details };
+      }
 
-    // Overall score: full=1, partial=0.5, missing=0
-    const rawScore =
-      matrix.length === 0
-        ? 0
-        : (full_count * 1 + partial_count * 0.5) / matrix.length;
+      const { surface, source, endpoints, events } = specById.get(id);
+      return {
+        id,
+        url: source.final_url || url,
+        status: "ok",
+        title: surface.api.title,
+        version: surface.api.version,
+        spec_version: surface.spec_version,
+        endpoint_count: endpoints.length,
+        webhook_event_count: events.length,
+        // Feasibility checklist: is there a sandbox, and where can the data live?
+        environments: surface.servers.environments.map((e) => e.environment),
+        sandbox_available: surface.servers.sandbox_available,
+        regions: surface.servers.regions.map((r) => r.region),
+        ...coverageSummary(rowsBySpec.get(id)),
+      };
+    });
 
-    const coverage_score = Math.round(rawScore * 100);
+    // Forced labels apply to the combined matrix; per-spec scores above stay as assessed
+    const coverageAudit = applyCoverageOverrides(matrix, overrides.coverage, capabilities);
 
     // Confidence: average of best confidence per capability
     const avgConf =
@@ -462,24 +1084,46 @@ export default async function handler(req, res) {
         ? 0
         : matrix.reduce((sum, m) => sum + (m.confidence || 0), 0) / matrix.length;
 
-    return res.status(200).json({
-      input: { spec_url },
+    // Stated constraints vs. auth flows, server URLs, webhooks and bulk endpoints
+    const checked = checkConstraints(constraints, specs);
+
+    const notes = specReport
+      .filter((spec) => spec.status === "failed")
+      .map((spec) => `${spec.id} (${spec.url}) could not be loaded (${spec.code}); capabilities were matched against the remaining specs.`);
+
+    return sendResult(res, "coverage_matrix", format, {
+      input: {
+        spec_url,
+        spec_urls,
+        spec_source: specs[0].source,
+        spec_version: specs[0].surface.spec_version,
+        base_urls: uniq(specs.flatMap((spec) => spec.surface.base_urls)),
+        discovery: discoveryReport,
+        capabilities_source,
+      },
       extracted_capabilities,
+      specs: specReport,
       overall: {
-        coverage_score,
-        full_count,
-        partial_count,
-        missing_count,
+        // Combined score: full=1, partial=0.5, missing=0, weighted by priority (must=3, should=2, could=1)
+        ...coverageSummary(matrix),
         confidence: Number(avgConf.toFixed(2)),
-        endpoint_count: endpoints.length,
+        spec_count: specs.length,
+        endpoint_count: pool.endpoints.length,
+        webhook_event_count: pool.events.length,
+        ...priorityRollup(matrix),
+        deprecation_risks: deprecationRollup(matrix),
+        constraints: constraintRollup(checked),
+        ...(notes.length ? { notes } : {}),
       },
       matrix,
+      constraints: checked,
+      ...(hasOverrides
+        ? { overrides: overrideAudit(overrides, { excluded, pinStatus, capabilities, coverage: coverageAudit }) }
+        : {}),
     });
   } catch (err) {
-    return res.status(500).json({
-      error: "Failed to generate capability coverage matrix.",
-      details: String(err?.message || err),
-      spec_url,
-    });
+    // Coded errors (unreachable, too_large, not_a_spec, parse_error, ...) from lib/spec_fetcher.js
+    const { status, body: errorBody } = specErrorResponse(err, "Failed to generate capability coverage matrix.");
+    return res.status(status).json({ ...errorBody, spec_url });
   }
 }
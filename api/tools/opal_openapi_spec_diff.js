@@ -0,0 +1,595 @@
+/**
+ * /api/tools/opal_openapi_spec_diff
+ *
+ * Tool execution endpoint for Opti Opal.
+ * /tools/opal_openapi_spec_diff rewritten to /api/tools/opal_openapi_spec_diff via vercel.json.
+ *
+ * Compares two versions of a spec (built on the same surface map extraction as
+ * opal_openapi_surface_map) and classifies every change as breaking or non-breaking.
+ *
+ * Input JSON (each side: url, raw content or base64):
+ * {
+ *   "old_spec_url": "https://example.com/v1/openapi.json",
+ *   "new_spec_url": "https://example.com/v2/openapi.json"
+ *   // or old_spec_content / old_spec_base64, new_spec_content / new_spec_base64
+ * }
+ *
+ * Output JSON:
+ * {
+ *   "old": { spec_url, spec_source, api, spec_version, endpoint_count },
+ *   "new": { ... },
+ *   "summary": { verdict, total, breaking_count, non_breaking_count, by_category, operations },
+ *   "changes": [{ category, type, breaking, operation, detail, evidence: { old, new } }],
+ *   "notes": []
+ * }
+ *
+ * Evidence entries are JSON pointers into the old/new spec (null when absent on that side).
+ */
+
+import { createResolver, toPointer } from "../../lib/schema_resolver.js";
+import { detectSpecVersion } from "../../lib/spec_version.js";
+import { listOperations, normalizeSurfaceMap } from "../../lib/surface_map.js";
+import { readInlineSpec } from "../../lib/spec_source.js";
+import { fetchSpec, loadRefDocument, specErrorResponse } from "../../lib/spec_fetcher.js";
+
+/** CORS */
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+/**
+ * Optional Bearer auth for tool execution (NOT for /discovery).
+ */
+function enforceBearer(req, res) {
+  const expected = process.env.OPAL_TOOL_BEARER_TOKEN;
+  if (!expected) return true; // auth not enabled
+
+  const auth = req.headers.authorization || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+  if (token && token === expected) return true;
+
+  res.status(401).json({ error: "Unauthorized (bad or missing bearer token)" });
+  return false;
+}
+
+function readParams(reqBody) {
+  if (!reqBody) return {};
+  if (reqBody.parameters && typeof reqBody.parameters === "object") return reqBody.parameters;
+  return reqBody;
+}
+
+const CATEGORY_ORDER = ["operations", "parameters", "request_body", "responses", "security", "auth", "base_urls"];
+
+/** Load one side ("old" / "new"); inline content wins over the URL */
+async function loadSide(params, side) {
+  try {
+    const inline = readInlineSpec({
+      spec_content: params?.[`${side}_spec_content`],
+      spec_base64: params?.[`${side}_spec_base64`]
+    });
+    const spec_url = inline ? null : params?.[`${side}_spec_url`];
+    const { openapi, source } = inline || (await fetchSpec(spec_url));
+
+    const baseUrl = source.final_url || null;
+    const resolver = await createResolver(openapi, { baseUrl, loadDocument: loadRefDocument });
+    const surface = normalizeSurfaceMap(openapi, resolver, baseUrl);
+
+    return { spec_url, source, openapi, resolver, surface };
+  } catch (err) {
+    err.side = side;
+    throw err;
+  }
+}
+
+/** "GET /pets/{petId}" and "GET /pets/{id}" are the same operation */
+function opKey(method, path) {
+  return `${method} ${path.replace(/\{[^}]+\}/g, "{}")}`;
+}
+
+/** Parameters of one operation keyed by location+name (path params by position) */
+function indexParameters(ep) {
+  const pathParamOrder = (ep.path.match(/\{[^}]+\}/g) || []).map((p) => p.slice(1, -1));
+  const out = new Map();
+
+  for (const p of ep.parameters) {
+    const key = p.in === "path" ? `path:#${pathParamOrder.indexOf(p.name)}` : `${p.in}:${p.name}`;
+    out.set(key, { ...p, enum: p.enum ? p.enum.map(String) : null });
+  }
+  return out;
+}
+
+/** Index a loaded side by normalized operation key */
+function indexOperations(side) {
+  const raw = new Map(listOperations(side.openapi).map((o) => [o.pointer, o]));
+  const ops = new Map();
+
+  for (const ep of side.surface.endpoints) {
+    const entry = raw.get(ep.pointer);
+    ops.set(opKey(ep.method, ep.path), {
+      ep,
+      method: ep.method,
+      path: ep.path,
+      pathItem: entry?.pathItem,
+      op: entry?.op,
+      deprecated: Boolean(ep.deprecation)
+    });
+  }
+  return ops;
+}
+
+/** Properties of a schema summary (array bodies use their item schema) */
+function fieldsOf(summary) {
+  const schema = summary?.items?.properties?.length ? summary.items : summary;
+  return new Map((schema?.properties || []).map((p) => [p.name, p]));
+}
+
+function enumRemovals(oldEnum, newEnum) {
+  if (!oldEnum || !newEnum) return [];
+  return oldEnum.filter((v) => !newEnum.map(String).includes(String(v)));
+}
+
+function createCollector() {
+  const changes = [];
+  const add = (category, type, breaking, operation, detail, oldPtr = null, newPtr = null) => {
+    changes.push({ category, type, breaking, operation, detail, evidence: { old: oldPtr, new: newPtr } });
+  };
+  return { changes, add };
+}
+
+function diffParameters(add, label, oldOp, newOp) {
+  const before = indexParameters(oldOp.ep);
+  const after = indexParameters(newOp.ep);
+
+  for (const [key, p] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      add("parameters", p.required ? "parameter_added_required" : "parameter_added_optional", p.required, label,
+        `${p.in} parameter "${p.name}" added${p.required ? " as required" : ""}.`, null, p.pointer);
+      continue;
+    }
+
+    if (!prev.required && p.required) {
+      add("parameters", "parameter_became_required", true, label, `${p.in} parameter "${p.name}" is now required.`, prev.pointer, p.pointer);
+    } else if (prev.required && !p.required && p.in !== "path") {
+      add("parameters", "parameter_became_optional", false, label, `${p.in} parameter "${p.name}" is now optional.`, prev.pointer, p.pointer);
+    }
+    if (prev.type && p.type && prev.type !== p.type) {
+      add("parameters", "parameter_type_changed", true, label, `${p.in} parameter "${p.name}" type ${prev.type} -> ${p.type}.`, prev.pointer, p.pointer);
+    }
+    const removedValues = enumRemovals(prev.enum, p.enum);
+    if (removedValues.length) {
+      add("parameters", "parameter_enum_narrowed", true, label,
+        `${p.in} parameter "${p.name}" no longer accepts: ${removedValues.join(", ")}.`, prev.pointer, p.pointer);
+    }
+    if (!prev.enum && p.enum) {
+      add("parameters", "parameter_enum_added", true, label, `${p.in} parameter "${p.name}" is now restricted to an enum.`, prev.pointer, p.pointer);
+    }
+  }
+
+  for (const [key, p] of before) {
+    if (!after.has(key)) {
+      add("parameters", "parameter_removed", true, label, `${p.in} parameter "${p.name}" removed.`, p.pointer, null);
+    }
+  }
+}
+
+/** Swagger 2.0 bodies live in `parameters` (in: body / formData) */
+function requestBodyPointer(side, op) {
+  return detectSpecVersion(side.openapi).format === "swagger" ? `${op.ep.pointer}/parameters` : `${op.ep.pointer}/requestBody`;
+}
+
+function diffRequestBody(add, label, oldSide, newSide, oldOp, newOp) {
+  const before = oldOp.ep.request_schema;
+  const after = newOp.ep.request_schema;
+  const oldPtr = requestBodyPointer(oldSide, oldOp);
+  const newPtr = requestBodyPointer(newSide, newOp);
+
+  if (!before && !after) return;
+  if (!before) {
+    add("request_body", after.required ? "request_body_added_required" : "request_body_added_optional", after.required, label,
+      `Request body added${after.required ? " (required)" : ""}.`, null, newPtr);
+    return;
+  }
+  if (!after) {
+    add("request_body", "request_body_removed", true, label, "Request body removed.", oldPtr, null);
+    return;
+  }
+
+  if (!before.required && after.required) {
+    add("request_body", "request_body_became_required", true, label, "Request body is now required.", oldPtr, newPtr);
+  }
+
+  for (const t of before.content_types) {
+    if (!after.content_types.includes(t)) add("request_body", "request_content_type_removed", true, label, `Content type ${t} no longer accepted.`, oldPtr, newPtr);
+  }
+  for (const t of after.content_types) {
+    if (!before.content_types.includes(t)) add("request_body", "request_content_type_added", false, label, `Content type ${t} now accepted.`, oldPtr, newPtr);
+  }
+
+  const oldFields = fieldsOf(before.schema);
+  const newFields = fieldsOf(after.schema);
+
+  for (const [name, f] of newFields) {
+    const prev = oldFields.get(name);
+    if (!prev) {
+      add("request_body", f.required ? "request_field_added_required" : "request_field_added_optional", f.required, label,
+        `Request field "${name}" added${f.required ? " as required" : ""}.`, oldPtr, newPtr);
+      continue;
+    }
+    if (!prev.required && f.required) {
+      add("request_body", "request_field_became_required", true, label, `Request field "${name}" is now required.`, oldPtr, newPtr);
+    } else if (prev.required && !f.required) {
+      add("request_body", "request_field_became_optional", false, label, `Request field "${name}" is now optional.`, oldPtr, newPtr);
+    }
+    if (prev.type !== f.type) {
+      add("request_body", "request_field_type_changed", true, label, `Request field "${name}" type ${prev.type} -> ${f.type}.`, oldPtr, newPtr);
+    }
+    const removedValues = enumRemovals(prev.enum, f.enum);
+    if (removedValues.length) {
+      add("request_body", "request_field_enum_narrowed", true, label, `Request field "${name}" no longer accepts: ${removedValues.join(", ")}.`, oldPtr, newPtr);
+    }
+  }
+
+  for (const name of oldFields.keys()) {
+    if (!newFields.has(name)) {
+      add("request_body", "request_field_removed", true, label, `Request field "${name}" removed.`, oldPtr, newPtr);
+    }
+  }
+}
+
+function diffResponses(add, label, oldOp, newOp) {
+  const before = new Map(oldOp.ep.response_schemas.map((r) => [r.status, r]));
+  const after = new Map(newOp.ep.response_schemas.map((r) => [r.status, r]));
+  const ptr = (op, status) => `${op.ep.pointer}/responses/${status}`;
+
+  for (const status of before.keys()) {
+    if (!after.has(status)) {
+      add("responses", "success_status_removed", true, label, `Success response ${status} removed.`, ptr(oldOp, status), null);
+    }
+  }
+  for (const status of after.keys()) {
+    if (!before.has(status)) {
+      add("responses", "success_status_added", false, label, `Success response ${status} added.`, null, ptr(newOp, status));
+    }
+  }
+
+  for (const [status, prev] of before) {
+    const next = after.get(status);
+    if (!next) continue;
+
+    const oldFields = fieldsOf(prev.schema);
+    const newFields = fieldsOf(next.schema);
+    const oldPtr = ptr(oldOp, status);
+    const newPtr = ptr(newOp, status);
+
+    if (prev.schema && next.schema && prev.schema.type !== next.schema.type) {
+      add("responses", "response_type_changed", true, label, `${status} response type ${prev.schema.type} -> ${next.schema.type}.`, oldPtr, newPtr);
+    }
+
+    for (const [name, f] of oldFields) {
+      const nf = newFields.get(name);
+      if (!nf) {
+        add("responses", "response_field_removed", true, label, `${status} response field "${name}" removed.`, oldPtr, newPtr);
+        continue;
+      }
+      if (f.type !== nf.type) {
+        add("responses", "response_field_type_changed", true, label, `${status} response field "${name}" type ${f.type} -> ${nf.type}.`, oldPtr, newPtr);
+      }
+      if (f.required && !nf.required) {
+        add("responses", "response_field_became_optional", true, label, `${status} response field "${name}" is no longer guaranteed.`, oldPtr, newPtr);
+      }
+    }
+    for (const name of newFields.keys()) {
+      if (!oldFields.has(name)) {
+        add("responses", "response_field_added", false, label, `${status} response field "${name}" added.`, oldPtr, newPtr);
+      }
+    }
+  }
+}
+
+/** Requirement alternatives (OR) as sorted scheme-name sets (AND) */
+function alternativeSets(security) {
+  return (security?.alternatives || []).map((alt) => Array.from(new Set(alt.schemes.map((s) => s.name))).sort());
+}
+
+const includesAll = (set, names) => names.every((n) => set.includes(n));
+const andLabel = (names) => names.map((n) => `"${n}"`).join(" + ");
+
+/** Where the effective requirement is declared: the operation, the global `security`, or nowhere */
+function securityPointer(op) {
+  if (op.ep.security.source === "operation") return `${op.ep.pointer}/security`;
+  if (op.ep.security.source === "global") return toPointer(["security"]);
+  return null;
+}
+
+function diffOperationSecurity(add, label, oldOp, newOp) {
+  const before = oldOp.ep.security;
+  const after = newOp.ep.security;
+  const oldPtr = securityPointer(oldOp);
+  const newPtr = securityPointer(newOp);
+
+  if (before.auth_required !== true && after.auth_required === true) {
+    add("security", "operation_auth_added", true, label, "Operation now requires authentication.", oldPtr, newPtr);
+  } else if (before.auth_required === true && after.auth_required === false) {
+    add("security", "operation_auth_removed", false, label, "Operation no longer requires authentication.", oldPtr, newPtr);
+  }
+
+  // Each old alternative is kept as is, tightened (a scheme joins its AND group: clients
+  // must now send it too), loosened (a scheme leaves it) or dropped. New alternatives
+  // that are none of these are extra OR options and break nobody.
+  const oldAlts = alternativeSets(before);
+  const newAlts = alternativeSets(after);
+  const key = (names) => names.join("\u0000");
+  const matched = new Set();
+
+  for (const alt of oldAlts) {
+    if (newAlts.some((n) => key(n) === key(alt))) {
+      matched.add(key(alt));
+      continue;
+    }
+    const tightened = newAlts.find((n) => !matched.has(key(n)) && includesAll(n, alt));
+    const loosened = !tightened && newAlts.find((n) => !matched.has(key(n)) && n.length && includesAll(alt, n));
+
+    if (tightened) {
+      matched.add(key(tightened));
+      const extra = tightened.filter((n) => !alt.includes(n));
+      add("security", "operation_scheme_added", true, label,
+        `${andLabel(alt)} now also requires ${andLabel(extra)}.`, oldPtr, newPtr);
+    } else if (loosened) {
+      matched.add(key(loosened));
+      const dropped = alt.filter((n) => !loosened.includes(n));
+      add("security", "operation_scheme_removed", false, label,
+        `${andLabel(alt)} no longer requires ${andLabel(dropped)}.`, oldPtr, newPtr);
+    } else if (after.auth_required !== false) {
+      add("security", "operation_security_alternative_removed", true, label,
+        `Authenticating with ${andLabel(alt)} is no longer accepted.`, oldPtr, newPtr);
+    }
+  }
+  for (const alt of newAlts) {
+    if (matched.has(key(alt)) || !oldAlts.length) continue;
+    add("security", "operation_security_alternative_added", false, label,
+      `Authenticating with ${andLabel(alt)} is now accepted as an alternative.`, oldPtr, newPtr);
+  }
+
+  for (const scope of after.scopes) {
+    if (!before.scopes.includes(scope)) add("security", "operation_scope_added", true, label, `Scope "${scope}" is now required.`, oldPtr, newPtr);
+  }
+  for (const scope of before.scopes) {
+    if (!after.scopes.includes(scope)) add("security", "operation_scope_removed", false, label, `Scope "${scope}" is no longer required.`, oldPtr, newPtr);
+  }
+}
+
+function schemePointer(openapi, name) {
+  return detectSpecVersion(openapi).format === "swagger"
+    ? toPointer(["securityDefinitions", name])
+    : toPointer(["components", "securitySchemes", name]);
+}
+
+function diffAuthSchemes(add, oldSide, newSide) {
+  const before = new Map(oldSide.surface.auth.schemes.map((s) => [s.name, s]));
+  const after = new Map(newSide.surface.auth.schemes.map((s) => [s.name, s]));
+  const ptrs = (name) => [schemePointer(oldSide.openapi, name), schemePointer(newSide.openapi, name)];
+
+  for (const [name, s] of before) {
+    const next = after.get(name);
+    const [oldPtr, newPtr] = ptrs(name);
+
+    if (!next) {
+      add("auth", "auth_scheme_removed", true, null, `Auth scheme "${name}" (${s.type}) removed.`, oldPtr, null);
+      continue;
+    }
+    if (s.type !== next.type || s.scheme !== next.scheme || s.in !== next.in) {
+      add("auth", "auth_scheme_changed", true, null,
+        `Auth scheme "${name}" changed from ${[s.type, s.scheme, s.in].filter(Boolean).join("/")} to ${[next.type, next.scheme, next.in].filter(Boolean).join("/")}.`,
+        oldPtr, newPtr);
+    }
+
+    const oldFlows = new Map(s.flow_details.map((f) => [f.flow, f]));
+    const newFlows = new Map(next.flow_details.map((f) => [f.flow, f]));
+
+    for (const [flow, f] of oldFlows) {
+      const nf = newFlows.get(flow);
+      if (!nf) {
+        add("auth", "auth_flow_removed", true, null, `Flow "${flow}" removed from "${name}".`, oldPtr, newPtr);
+        continue;
+      }
+      for (const field of ["authorization_url", "token_url", "refresh_url", "openid_connect_url"]) {
+        if (f[field] !== nf[field]) {
+          add("auth", "auth_flow_url_changed", true, null, `"${name}" ${flow} ${field} ${f[field]} -> ${nf[field]}.`, oldPtr, newPtr);
+        }
+      }
+      for (const scope of f.scopes) {
+        if (!nf.scopes.includes(scope)) add("auth", "auth_scope_removed", true, null, `Scope "${scope}" removed from "${name}" ${flow}.`, oldPtr, newPtr);
+      }
+      for (const scope of nf.scopes) {
+        if (!f.scopes.includes(scope)) add("auth", "auth_scope_added", false, null, `Scope "${scope}" added to "${name}" ${flow}.`, oldPtr, newPtr);
+      }
+    }
+    for (const flow of newFlows.keys()) {
+      if (!oldFlows.has(flow)) add("auth", "auth_flow_added", false, null, `Flow "${flow}" added to "${name}".`, oldPtr, newPtr);
+    }
+  }
+
+  for (const [name, s] of after) {
+    if (!before.has(name)) add("auth", "auth_scheme_added", false, null, `Auth scheme "${name}" (${s.type}) added.`, null, ptrs(name)[1]);
+  }
+}
+
+/**
+ * Server URLs per scope (root, path or operation level; lib/servers.js), with every
+ * enum value of the server variables expanded: "scope\u0000url" -> { url, scope, pointer }.
+ */
+function expandedServerUrls(side) {
+  const urls = new Map();
+  for (const entry of side.surface.servers.entries) {
+    for (const e of entry.expanded) {
+      const key = `${entry.scope || ""}\u0000${e.url}`;
+      if (!urls.has(key)) urls.set(key, { url: e.url, scope: entry.scope, level: entry.level, pointer: entry.pointer });
+    }
+  }
+  return urls;
+}
+
+/**
+ * A server URL that no longer expands (a base URL or an enum value of a server
+ * variable removed, e.g. region "us") breaks clients using it. Path and operation
+ * servers are compared only while that path or operation still exists.
+ */
+function diffBaseUrls(add, oldSide, newSide) {
+  const before = expandedServerUrls(oldSide);
+  const after = expandedServerUrls(newSide);
+  const labels = new Set(newSide.surface.endpoints.flatMap((ep) => [ep.path, `${ep.method} ${ep.path}`]));
+  const where = (scope) => (scope ? ` for ${scope}` : "");
+  const operation = (level, scope) => (level === "operation" ? scope : null);
+
+  for (const [key, { url, scope, level, pointer }] of before) {
+    if (after.has(key) || (scope && !labels.has(scope))) continue;
+    add("base_urls", "base_url_removed", true, operation(level, scope), `Base URL ${url}${where(scope)} removed.`, pointer, null);
+  }
+  for (const [key, { url, scope, level, pointer }] of after) {
+    if (!before.has(key)) add("base_urls", "base_url_added", false, operation(level, scope), `Base URL ${url}${where(scope)} added.`, null, pointer);
+  }
+}
+
+/** Full diff between two loaded sides */
+function diffSpecs(oldSide, newSide) {
+  const { changes, add } = createCollector();
+  const before = indexOperations(oldSide);
+  const after = indexOperations(newSide);
+
+  const counts = { added: 0, removed: 0, deprecated: 0, changed: 0, unchanged: 0 };
+
+  for (const [key, prev] of before) {
+    const label = `${prev.method} ${prev.path}`;
+    const next = after.get(key);
+
+    if (!next) {
+      counts.removed += 1;
+      add("operations", "operation_removed", true, label, "Operation removed.", prev.ep.pointer, null);
+      continue;
+    }
+
+    const startCount = changes.length;
+    const opLabel = prev.path === next.path ? label : `${label} (now ${next.path})`;
+
+    if (!prev.deprecated && next.deprecated) {
+      counts.deprecated += 1;
+      const { sunset, replacement, signals } = next.ep.deprecation;
+      const detail = [
+        `Operation is now deprecated (${signals.join(", ")})`,
+        sunset ? `sunset ${sunset}` : null,
+        replacement ? `replaced by ${replacement}` : null
+      ].filter(Boolean).join("; ");
+      add("operations", "operation_deprecated", false, opLabel, `${detail}.`, prev.ep.pointer, next.ep.pointer);
+    } else if (prev.deprecated && !next.deprecated) {
+      add("operations", "operation_undeprecated", false, opLabel, "Operation is no longer deprecated.", prev.ep.pointer, next.ep.pointer);
+    }
+
+    diffParameters(add, opLabel, prev, next);
+    diffRequestBody(add, opLabel, oldSide, newSide, prev, next);
+    diffResponses(add, opLabel, prev, next);
+    diffOperationSecurity(add, opLabel, prev, next);
+
+    if (changes.length > startCount) counts.changed += 1;
+    else counts.unchanged += 1;
+  }
+
+  for (const [key, next] of after) {
+    if (before.has(key)) continue;
+    counts.added += 1;
+    add("operations", "operation_added", false, `${next.method} ${next.path}`, "Operation added.", null, next.ep.pointer);
+  }
+
+  diffAuthSchemes(add, oldSide, newSide);
+  diffBaseUrls(add, oldSide, newSide);
+
+  changes.sort(
+    (a, b) =>
+      Number(b.breaking) - Number(a.breaking) ||
+      CATEGORY_ORDER.indexOf(a.category) - CATEGORY_ORDER.indexOf(b.category) ||
+      String(a.operation || "").localeCompare(String(b.operation || ""))
+  );
+
+  const by_category = {};
+  for (const c of changes) {
+    by_category[c.category] = by_category[c.category] || { breaking: 0, non_breaking: 0 };
+    by_category[c.category][c.breaking ? "breaking" : "non_breaking"] += 1;
+  }
+
+  const breaking_count = changes.filter((c) => c.breaking).length;
+
+  return {
+    summary: {
+      verdict: breaking_count ? "breaking" : changes.length ? "non_breaking" : "no_changes",
+      total: changes.length,
+      breaking_count,
+      non_breaking_count: changes.length - breaking_count,
+      by_category,
+      operations: counts
+    },
+    changes
+  };
+}
+
+function describeSide(side) {
+  return {
+    spec_url: side.spec_url,
+    spec_source: side.source,
+    api: side.surface.api,
+    spec_version: side.surface.spec_version,
+    endpoint_count: side.surface.endpoints.length
+  };
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed. Use POST." });
+
+  if (!enforceBearer(req, res)) return;
+
+  let body = req.body;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      // Handled below
+    }
+  }
+
+  const params = readParams(body);
+  const hasSide = (side) =>
+    ["spec_url", "spec_content", "spec_base64"].some((k) => typeof params?.[`${side}_${k}`] === "string" && params[`${side}_${k}`].trim());
+
+  if (!hasSide("old") || !hasSide("new")) {
+    return res.status(400).json({
+      error: "Both specs are required: old_spec_url (or old_spec_content / old_spec_base64) and new_spec_url (or new_spec_content / new_spec_base64).",
+      example: {
+        old_spec_url: "https://example.com/v1/openapi.json",
+        new_spec_url: "https://example.com/v2/openapi.json"
+      }
+    });
+  }
+
+  try {
+    const [oldSide, newSide] = await Promise.all([loadSide(params, "old"), loadSide(params, "new")]);
+    const { summary, changes } = diffSpecs(oldSide, newSide);
+
+    return res.status(200).json({
+      old: describeSide(oldSide),
+      new: describeSide(newSide),
+      summary,
+      changes,
+      notes: [
+        ...oldSide.surface.notes.map((n) => `old: ${n}`),
+        ...newSide.surface.notes.map((n) => `new: ${n}`)
+      ]
+    });
+  } catch (err) {
+    const { status, body: errorBody } = specErrorResponse(err, `Failed to load the ${err?.side || "input"} spec.`);
+    return res.status(status).json({ ...errorBody, side: err?.side || null });
+  }
+}
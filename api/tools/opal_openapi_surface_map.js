@@ -4,18 +4,41 @@
  * Tool execution endpoint for Opti Opal.
  * /tools/opal_openapi_surface_map rewritten to /api/tools/opal_openapi_surface_map via vercel.json.
  *
- * Input JSON:
+ * Input JSON (one of):
  * { "spec_url": "https://example.com/openapi.yaml" }
+ * { "spec_content": "openapi: 3.0.0\n..." }        // raw JSON or YAML text
+ * { "spec_base64": "b3BlbmFwaTogMy4wLjAK..." }      // base64 or data: URL
  *
  * Output JSON:
  * {
- *   "spec_url": "...",
- *   "surface_map": { api, base_urls, auth, endpoints, notes },
- *   "stats": { endpoint_count, auth_scheme_count, base_url_count }
+ *   "spec_url": "..." | null,
+ *   "spec_source": { type: "url" | "inline" | "base64", url, final_url, format, bytes, ... },
+ *   "surface_map": { api, spec_version, base_urls, servers, auth, endpoints, required_headers, resilience, criticality, resources, bulk_async, versioning, webhooks, schema_names, notes },
+ *   "stats": { endpoint_count, matched_endpoint_count, returned_endpoint_count, webhook_event_count, auth_scheme_count,
+ *              base_url_count, server_count, schema_count, ref_document_count, omitted }
  * }
+ *
+ * Large specs (lib/surface_view.js): "tags", "path_prefix", "methods", "auth_scheme"
+ * and "query" filter the endpoints, and the sections built from endpoints then cover
+ * the matching ones only. Without "limit" every matching endpoint is returned; with it,
+ * "limit" + "cursor" page through them
+ * ("page": { limit, offset, returned, matched, has_more, next_cursor }); "mode": "summary"
+ * returns "summary" (counts per tag / resource / method / tier, top endpoints) instead
+ * of "surface_map". stats.omitted says how many endpoints were filtered out or left
+ * for other pages and which sections were left out.
+ *
+ * Optional "output_format": "markdown" | "csv" | "html" renders the same result as a
+ * report (lib/report.js); CSV is the endpoint inventory (or the summary counts). Errors are always JSON.
+ *
+ * The surface map itself is built by lib/surface_map.js.
  */
 
-import yaml from "js-yaml";
+import { createResolver } from "../../lib/schema_resolver.js";
+import { normalizeSurfaceMap } from "../../lib/surface_map.js";
+import { readOutputFormat, sendResult } from "../../lib/report.js";
+import { applySurfaceView, readSurfaceView } from "../../lib/surface_view.js";
+import { readInlineSpec } from "../../lib/spec_source.js";
+import { fetchSpec, loadRefDocument, specErrorResponse } from "../../lib/spec_fetcher.js";
 
 /** CORS */
 function setCors(res) {
@@ -39,116 +62,6 @@ function enforceBearer(req, res) {
   return false;
 }
 
-/**
- * Fetch and parse OpenAPI content from URL.
- * - Try JSON first
- * - Fallback to YAML
- */
-async function fetchSpec(specUrl) {
-  const r = await fetch(specUrl, {
-    method: "GET",
-    headers: { accept: "application/json, text/yaml, */*" }
-  });
-
-  if (!r.ok) {
-    throw new Error(`Failed to fetch spec_url: ${r.status} ${r.statusText}`);
-  }
-
-  const text = (await r.text()).trim();
-
-  // JSON first
-  if (text.startsWith("{") || text.startsWith("[")) {
-    return JSON.parse(text);
-  }
-
-  // YAML fallback
-  return yaml.load(text);
-}
-
-/** Extract auth schemes from OpenAPI components.securitySchemes */
-function extractAuthSchemes(openapi) {
-  const schemes = [];
-  const sec = openapi?.components?.securitySchemes || {};
-  for (const [name, def] of Object.entries(sec)) {
-    schemes.push({
-      name,
-      type: def?.type || "unknown",
-      in: def?.in || null,
-      scheme: def?.scheme || null,
-      bearerFormat: def?.bearerFormat || null,
-      flows: def?.flows ? Object.keys(def.flows).sort() : []
-    });
-  }
-  return schemes;
-}
-
-/** Extract base URLs from OpenAPI servers */
-function extractBaseUrls(openapi) {
-  const servers = Array.isArray(openapi?.servers) ? openapi.servers : [];
-  return servers
-    .map((s) => (s && typeof s === "object" ? s.url : null))
-    .filter(Boolean);
-}
-
-/**
- * Extract endpoints from OpenAPI paths.
- */
-function extractEndpoints(openapi) {
-  const paths = openapi?.paths || {};
-  const endpoints = [];
-  const METHODS = ["get", "post", "put", "patch", "delete"];
-
-  for (const [path, ops] of Object.entries(paths)) {
-    if (!ops || typeof ops !== "object") continue;
-
-    for (const m of METHODS) {
-      const op = ops[m];
-      if (!op) continue;
-
-      const purpose =
-        op.summary ||
-        (typeof op.description === "string" ? op.description.split("\n")[0] : null) ||
-        "No description";
-
-      // Conservative auth inference:
-      // - If global security or op security exists => auth_required = true
-      // - If neither exists => null (unknown)
-      const auth_required =
-        (Array.isArray(openapi?.security) && openapi.security.length > 0) ||
-        (Array.isArray(op?.security) && op.security.length > 0) ||
-        null;
-
-      endpoints.push({
-        method: m.toUpperCase(),
-        path,
-        purpose,
-        auth_required,
-        scopes: [], // left empty intentionally (scopes need deep OAuth flow parsing)
-        request_schema_hint: op.requestBody ? "Has requestBody (see spec)" : "",
-        response_schema_hint: op.responses ? "Has responses (see spec)" : "",
-        criticality: "supporting",
-        notes: []
-      });
-    }
-  }
-
-  return endpoints;
-}
-
-/** Normalize into a stable structure for agents */
-function normalizeSurfaceMap(openapi) {
-  const title = openapi?.info?.title || "Unknown API";
-  const version = openapi?.info?.version || null;
-
-  return {
-    api: { title, version },
-    base_urls: extractBaseUrls(openapi),
-    auth: { schemes: extractAuthSchemes(openapi), notes: [] },
-    endpoints: extractEndpoints(openapi),
-    notes: []
-  };
-}
-
 /**
  * For params nested under { parameters: {...} }.
  * Accepting both shapes to reduce integration friction.
@@ -176,32 +89,64 @@ export default async function handler(req, res) {
   }
 
   const params = readParams(body);
-  const spec_url = params?.spec_url;
 
-  if (!spec_url || typeof spec_url !== "string") {
+  const { format, error: formatError } = readOutputFormat(params);
+  if (formatError) return res.status(400).json({ error: formatError, example: { output_format: "markdown" } });
+
+  const { view, error: viewError } = readSurfaceView(params);
+  if (viewError) {
+    return res.status(400).json({ error: viewError, example: { tags: ["Payments"], methods: ["GET"], limit: 50, mode: "full" } });
+  }
+
+  // Inline content (spec_content / spec_base64) takes precedence over spec_url
+  let inline = null;
+  try {
+    inline = readInlineSpec(params);
+  } catch (err) {
+    const { status, body: errorBody } = specErrorResponse(err, "Failed to parse inline spec content.");
+    return res.status(status).json(errorBody);
+  }
+
+  const spec_url = inline ? null : params?.spec_url;
+
+  if (!inline && (!spec_url || typeof spec_url !== "string")) {
     return res.status(400).json({
-      error: "spec_url is required (string).",
+      error: "spec_url (string) is required unless spec_content or spec_base64 is provided.",
       example: { spec_url: "https://petstore3.swagger.io/api/v3/openapi.json" }
     });
   }
 
   try {
-    const openapi = await fetchSpec(spec_url);
-    const surface_map = normalizeSurfaceMap(openapi);
+    const { openapi, source: spec_source } = inline || (await fetchSpec(spec_url));
+    const baseUrl = spec_source.final_url || null;
+
+    const resolver = await createResolver(openapi, { baseUrl, loadDocument: loadRefDocument });
+    const surface_map = normalizeSurfaceMap(openapi, resolver, baseUrl);
 
-    return res.status(200).json({
+    // Filters, cursor paging or summary mode; the stats below stay spec-wide
+    const { omitted, ...shown } = applySurfaceView(surface_map, view, openapi);
+
+    return sendResult(res, view.mode === "summary" ? "surface_summary" : "surface_map", format, {
       spec_url,
-      surface_map,
+      spec_source,
+      ...shown,
       stats: {
         endpoint_count: surface_map.endpoints.length,
+        matched_endpoint_count: shown.page ? shown.page.matched : shown.summary.endpoint_count,
+        returned_endpoint_count: shown.page ? shown.page.returned : 0,
+        webhook_event_count: surface_map.webhooks.events.length,
         auth_scheme_count: surface_map.auth.schemes.length,
-        base_url_count: surface_map.base_urls.length
+        base_url_count: surface_map.base_urls.length,
+        server_count: surface_map.servers.entries.length,
+        schema_count: surface_map.schema_names.length,
+        ref_document_count: resolver.documentCount,
+        omitted
       }
     });
   } catch (err) {
-    return res.status(500).json({
-      error: "Failed to process OpenAPI spec.",
-      details: String(err?.message || err)
-    });
+    // Coded errors: invalid_url, blocked_address, unreachable, http_error, timeout,
+    // too_many_redirects, too_large, not_a_spec, parse_error (see lib/spec_fetcher.js)
+    const { status, body: errorBody } = specErrorResponse(err, "Failed to process OpenAPI spec.");
+    return res.status(status).json({ ...errorBody, spec_url });
   }
 }
@@ -0,0 +1,246 @@
+/**
+ * Async, long-running and bulk operation signals.
+ *
+ * Per endpoint (`bulk_async`, null when none apply), kinds:
+ * - async_job     a 202 response, with the Location-style headers, status/job id
+ *                 body fields and response links that point at the job
+ * - job_status    a GET polling endpoint (/jobs/{id}, /exports/{id}, .../status)
+ * - batch         request body is an array, or wraps an array of objects
+ *                 (items[], records[], operations[]) with maxItems when declared
+ * - file_upload   multipart, octet-stream, CSV, NDJSON or archive request bodies
+ * - file_download octet-stream, CSV, archive or binary 2xx responses
+ * - stream        NDJSON / JSON Lines / event-stream bodies either way
+ *
+ * summarizeBulkAsync() rolls these up for the surface map and links async
+ * operations to the polling endpoints that most likely report on them.
+ */
+
+import { pickMediaType, requestBodyFor, responsesFor } from "./spec_version.js";
+import { schemaFieldPaths } from "./schema_resolver.js";
+import { literalSegments, topResource } from "./resources.js";
+
+const LOCATION_HEADER = /^(location|content-location|operation-location|azure-asyncoperation|x-job-location|x-status-url|link)$/i;
+const STATUS_LINK_FIELD = /^(statusurl|statusuri|statuslink|monitorurl|pollurl|pollingurl|resulturl|location|href|self|links?)$/;
+const JOB_ID_FIELD = /^(id|(job|task|operation|batch|export|import|request|run|bulk)id)$/;
+const JOB_SEGMENT = /^(jobs?|tasks?|operations|batch|batches|exports?|imports?|runs?|bulk|bulk-?jobs|async-?jobs|requests)$/i;
+const STATUS_SEGMENT = /^(status|progress|state|result|results)$/i;
+const STATUS_OPERATION = /(status|poll|progress)/i;
+const STATUS_FIELD = /^(status|state|progress|percentcomplete|completedat|finishedat)$/;
+const BULK_WORD = /bulk|batch|import|export/i;
+const BATCH_FIELDS = ["items", "records", "data", "entries", "operations", "requests", "objects", "rows", "batch", "inputs", "documents"];
+const PRIMITIVE_ARRAY = /^array<(string|integer|number|boolean|any)>$/;
+
+const UPLOAD_TYPE = /multipart\/|octet-stream|text\/csv|ndjson|jsonl|json-seq|jsonlines|zip|gzip|tar/i;
+const DOWNLOAD_TYPE = /octet-stream|text\/csv|ndjson|jsonl|json-seq|jsonlines|zip|gzip|tar|spreadsheet|ms-excel/i;
+const STREAM_TYPE = /ndjson|jsonl|json-seq|jsonlines|event-stream/i;
+
+function key(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function uniq(arr) {
+  return Array.from(new Set(arr));
+}
+
+/** 202 responses: Location-style headers, status/job id body fields, response links */
+function acceptedResponse(resolver, openapi, op) {
+  const responses = responsesFor(resolver, openapi, op) || {};
+  const accepted = responses["202"];
+  if (!accepted) return null;
+
+  const { value, base } = resolver.deref(accepted);
+  if (!value || typeof value !== "object") return null;
+
+  const location_headers = Object.keys(value.headers || {}).filter((h) => LOCATION_HEADER.test(h));
+  const content = value.content || {};
+  const media = pickMediaType(content);
+  const fields = media ? schemaFieldPaths(resolver, content[media]?.schema, base, { maxDepth: 2, maxFields: 80 }) : [];
+  const status_fields = fields.filter((f) => STATUS_LINK_FIELD.test(key(f.name))).map((f) => f.path);
+  const job_id_fields = fields.filter((f) => JOB_ID_FIELD.test(key(f.name)) && !f.path.includes("[]")).map((f) => f.path);
+
+  // OpenAPI 3.x response links: { GetJob: { operationId: "getJob" } }
+  const links = Object.entries(value.links || {}).map(([name, link]) => {
+    const resolved = resolver.deref(link).value || {};
+    return { name, operation_id: resolved.operationId || null, operation_ref: resolved.operationRef || null };
+  });
+
+  return { status: "202", location_headers, status_fields, job_id_fields, links };
+}
+
+/** GET /jobs/{id}, /exports/{exportId}, /imports/{id}/status, getJobStatus */
+function jobStatus(endpoint) {
+  if (endpoint.method !== "GET") return null;
+
+  const segments = literalSegments(endpoint.path);
+  const literals = segments.filter((s) => !/^\{.+\}$/.test(s));
+  const last = segments[segments.length - 1] || "";
+  const endsInItem = /^\{.+\}$/.test(last);
+
+  const byPath =
+    (endsInItem && JOB_SEGMENT.test(segments[segments.length - 2] || "")) ||
+    (STATUS_SEGMENT.test(last) && segments.some((s) => /^\{.+\}$/.test(s)));
+  const byOperation = STATUS_OPERATION.test(endpoint.operation_id || "") && literals.some((s) => JOB_SEGMENT.test(s));
+  if (!byPath && !byOperation) return null;
+
+  const props = endpoint.response_schemas.flatMap((r) => r.schema?.properties || []);
+  const statusProp = props.find((p) => STATUS_FIELD.test(key(p.name)));
+  return {
+    status_field: statusProp ? statusProp.name : null,
+    states: statusProp?.enum || null
+  };
+}
+
+/** Array request body, or an array-of-objects property that carries the batch */
+function batchBody(resolver, openapi, { pathItem, op }, endpoint) {
+  const schema = endpoint.request_schema?.schema;
+  if (!schema) return null;
+
+  const requestBody = requestBodyFor(resolver, openapi, pathItem, op);
+  const { value: body, base } = resolver.deref(requestBody);
+  const media = pickMediaType(body?.content);
+  const raw = media ? resolver.deref(body.content[media]?.schema, base) : { value: null };
+
+  if (/^array</.test(schema.type || "")) {
+    return { field: null, item_type: schema.type.slice(6, -1), max_items: raw.value?.maxItems ?? null };
+  }
+
+  const bulkNamed = BULK_WORD.test(`${endpoint.path} ${endpoint.operation_id || ""}`);
+  const candidates = schema.properties.filter((p) => /^array</.test(p.type || "") && !PRIMITIVE_ARRAY.test(p.type));
+  const prop =
+    candidates.find((p) => BATCH_FIELDS.includes(key(p.name))) ||
+    (bulkNamed || (candidates.length === 1 && schema.properties.length <= 2) ? candidates[0] : null);
+  if (!prop) return null;
+
+  const propSchema = resolver.deref(raw.value?.properties?.[prop.name], raw.base).value;
+  return { field: prop.name, item_type: prop.type.slice(6, -1), max_items: propSchema?.maxItems ?? null };
+}
+
+/** File and stream content types on the request body and 2xx responses */
+function streaming(endpoint) {
+  const upload = (endpoint.request_schema?.content_types || []).filter((t) => UPLOAD_TYPE.test(t));
+  const download = uniq(
+    endpoint.response_schemas.flatMap((r) => [
+      ...r.content_types.filter((t) => DOWNLOAD_TYPE.test(t) || STREAM_TYPE.test(t)),
+      ...(r.schema?.type === "string" && /^(binary|byte)$/.test(r.schema?.format || "") ? r.content_types : [])
+    ])
+  );
+  if (!upload.length && !download.length) return null;
+  return { upload, download };
+}
+
+/**
+ * Async/bulk signals for one endpoint, or null when none apply.
+ * entry: { pathItem, op } from listOperations(); endpoint: the surface map endpoint.
+ */
+export function operationBulkAsync(resolver, openapi, entry, endpoint) {
+  const async_job = acceptedResponse(resolver, openapi, entry.op);
+  const job_status = jobStatus(endpoint);
+  const batch = ["POST", "PUT", "PATCH", "DELETE"].includes(endpoint.method)
+    ? batchBody(resolver, openapi, entry, endpoint)
+    : null;
+  const files = streaming(endpoint);
+
+  const kinds = [];
+  const signals = [];
+  if (async_job) {
+    kinds.push("async_job");
+    const pointers = [...async_job.location_headers.map((h) => `${h} header`), ...async_job.status_fields, ...async_job.links.map((l) => `link ${l.name}`)];
+    signals.push(pointers.length ? `202 Accepted with ${pointers.join(", ")}` : "202 Accepted (no status link documented)");
+  }
+  if (job_status) {
+    kinds.push("job_status");
+    signals.push(job_status.status_field ? `job status polling (${job_status.status_field})` : "job status polling");
+  }
+  if (batch) {
+    kinds.push("batch");
+    const where = batch.field ? `${batch.field}[]` : "array body";
+    signals.push(batch.max_items ? `batch request (${where}, max ${batch.max_items})` : `batch request (${where})`);
+  }
+  if (files?.upload.length) {
+    kinds.push("file_upload");
+    signals.push(`file upload (${files.upload.join(", ")})`);
+  }
+  if (files?.download.length) {
+    kinds.push("file_download");
+    signals.push(`file download (${files.download.join(", ")})`);
+  }
+  if (files && [...files.upload, ...files.download].some((t) => STREAM_TYPE.test(t))) kinds.push("stream");
+
+  if (!kinds.length) return null;
+  return { kinds, async_job, job_status, batch, streaming: files, signals };
+}
+
+/** Polling endpoints that most likely report on an async operation */
+function pollingFor(ep, polling, byOperationId) {
+  const linked = ep.bulk_async.async_job.links
+    .map((l) => byOperationId.get(l.operation_id))
+    .filter((p) => p && p.bulk_async?.job_status);
+  if (linked.length) return linked;
+
+  const resource = topResource(ep.path);
+  const sameResource = polling.filter((p) => topResource(p.path) === resource);
+  if (sameResource.length) return sameResource;
+
+  // Generic /jobs/{id} or /operations/{id} endpoints serve every async operation
+  return polling.filter((p) => JOB_SEGMENT.test(topResource(p.path) || ""));
+}
+
+/**
+ * API-level roll-up: async operations with their polling endpoints, batch
+ * operations, file transfers and notes on what is missing.
+ */
+export function summarizeBulkAsync(endpoints) {
+  const label = (ep) => `${ep.method} ${ep.path}`;
+  const flagged = endpoints.filter((ep) => ep.bulk_async);
+  const has = (kind) => flagged.filter((ep) => ep.bulk_async.kinds.includes(kind));
+
+  const polling = has("job_status");
+  const byOperationId = new Map(endpoints.filter((ep) => ep.operation_id).map((ep) => [ep.operation_id, ep]));
+
+  const async_operations = has("async_job").map((ep) => {
+    const job = ep.bulk_async.async_job;
+    return {
+      endpoint: label(ep),
+      location_headers: job.location_headers,
+      status_fields: job.status_fields,
+      job_id_fields: job.job_id_fields,
+      polling_endpoints: pollingFor(ep, polling, byOperationId).map(label)
+    };
+  });
+
+  const batch_operations = has("batch").map((ep) => ({ endpoint: label(ep), ...ep.bulk_async.batch }));
+  const file_transfers = flagged
+    .filter((ep) => ep.bulk_async.streaming)
+    .map((ep) => ({
+      endpoint: label(ep),
+      upload: ep.bulk_async.streaming.upload,
+      download: ep.bulk_async.streaming.download,
+      streaming: ep.bulk_async.kinds.includes("stream")
+    }));
+
+  const notes = [];
+  if (!flagged.length) {
+    notes.push("No bulk, async job or file-transfer operations documented; large syncs must page through collections and write records one at a time.");
+  }
+  const untracked = async_operations.filter(
+    (a) => !a.location_headers.length && !a.status_fields.length && !a.job_id_fields.length && !a.polling_endpoints.length
+  );
+  if (untracked.length) {
+    notes.push(`${untracked.length} operation(s) answer 202 without a Location header, status link or job id; ask how completion is reported.`);
+  }
+  if (async_operations.length && !polling.length) {
+    notes.push("Async operations have no job status endpoint; completion may only be reported via webhooks.");
+  }
+  const unbounded = batch_operations.filter((b) => b.max_items === null);
+  if (unbounded.length) {
+    notes.push(`Batch size limits are not documented for ${unbounded.length} batch operation(s); confirm the maximum items per request.`);
+  }
+
+  return {
+    async_operations,
+    polling_endpoints: polling.map(label),
+    batch_operations,
+    file_transfers,
+    notes
+  };
+}
@@ -0,0 +1,496 @@
+/**
+ * Capability-to-endpoint ranking.
+ *
+ * - Light stemming + plural handling ("customers" = "customer", "created" = "create")
+ * - camelCase / kebab-case / snake_case splitting of path segments and identifiers
+ * - Domain synonym groups (customer ~ contact ~ account, order ~ purchase, ...)
+ * - Several indexed fields per endpoint, each with its own weight:
+ *   path, operationId, summary, tags, description, parameter names, schema titles
+ * - Action verbs can be satisfied by the HTTP method ("create" -> POST)
+ * - Webhook/callback events (kind "event") are indexed like operations and only
+ *   compete for event capabilities ("receive webhook when order ships")
+ *
+ * Every hit records the field and synonym that produced it, so the `reason`
+ * shown in the coverage matrix stays traceable.
+ *
+ * Field-level coverage: extractAttributes() pulls the data attributes out of a
+ * capability ("sync customer email, phone and loyalty tier" -> email, phone,
+ * loyalty tier) and matchAttributes() looks them up in schema property paths.
+ */
+
+import { stripConstraints } from "./constraints.js";
+
+const STOPWORDS = new Set([
+  "we", "want", "to", "and", "or", "the", "a", "an", "of", "for", "with", "into",
+  "our", "system", "tool", "platform", "integrate", "integration", "support",
+  "must", "should", "can", "need", "needed", "required", "able", "allow",
+  "via", "using", "based", "on", "from", "in", "at", "as", "by", "be",
+  "is", "are", "it", "its", "this", "that", "all", "any", "each", "when", "whenever",
+]);
+
+/** Field weights: how much a hit in that field counts toward overlap */
+const FIELD_WEIGHTS = {
+  path: 1,
+  operation_id: 0.9,
+  summary: 0.9,
+  tags: 0.8,
+  schema_titles: 0.6,
+  description: 0.5,
+  parameters: 0.5,
+  path_params: 0.4
+};
+
+const SYNONYM_FACTOR = 0.7;
+const METHOD_VERB_WEIGHT = 0.8;
+
+/** Synonym groups (written as plain words, stemmed at load) */
+const SYNONYM_GROUPS = [
+  ["customer", "contact", "account", "client", "user", "member", "profile", "person", "people", "shopper", "consumer"],
+  ["order", "purchase", "transaction", "sale", "checkout", "cart", "basket"],
+  ["product", "item", "sku", "catalog", "article", "variant", "offering"],
+  ["invoice", "bill", "billing", "statement"],
+  ["payment", "charge", "pay", "settlement"],
+  ["refund", "return", "chargeback"],
+  ["shipment", "shipping", "delivery", "fulfillment", "fulfilment", "dispatch", "ship", "tracking"],
+  ["inventory", "stock", "availability"],
+  ["event", "webhook", "callback", "notification", "hook", "trigger"],
+  ["subscription", "subscribe", "subscriber"],
+  ["company", "organization", "organisation", "org", "business", "tenant", "merchant"],
+  ["address", "location"],
+  ["email", "mail"],
+  ["phone", "telephone", "mobile", "sms"],
+  ["tag", "label"],
+  ["category", "collection", "group", "segment"],
+  ["campaign", "promotion", "coupon", "discount", "voucher", "offer"],
+  ["loyalty", "reward", "point", "tier"],
+  ["file", "attachment", "document", "upload", "media", "asset"],
+  ["token", "auth", "login", "session", "oauth"],
+  ["create", "add", "insert", "new", "register"],
+  ["update", "edit", "modify", "change", "patch", "upsert"],
+  ["delete", "remove", "destroy", "erase", "purge"],
+  ["get", "fetch", "read", "retrieve", "view", "show", "lookup", "detail"],
+  ["search", "query", "find", "filter", "browse", "lookup"],
+  ["sync", "synchronize", "import", "export", "bulk", "batch"],
+  ["send", "deliver", "dispatch", "notify"]
+];
+
+/** Verb stems a matching HTTP method satisfies */
+const VERB_METHODS = [
+  [["create", "add", "insert", "new", "register", "upload", "send", "post", "submit"], ["POST"]],
+  [["update", "edit", "modify", "change", "patch", "upsert"], ["PUT", "PATCH", "POST"]],
+  [["delete", "remove", "destroy", "erase", "purge"], ["DELETE"]],
+  [["get", "fetch", "read", "retrieve", "view", "show", "lookup", "list", "search", "query", "find"], ["GET"]]
+];
+
+/**
+ * Light stemmer: plurals, -ing, -ed, trailing -e.
+ * Only needs to be consistent with itself, not linguistically exact.
+ */
+export function stem(word) {
+  let w = String(word || "").toLowerCase();
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  if (w.endsWith("ies") && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (/(ches|shes|sses|xes|zes)$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith("ing") && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith("ed") && w.length > 4) w = w.slice(0, -2);
+
+  // "shipp" -> "ship", "creat" / "create" -> "creat"
+  if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ss|ll|zz)$/.test(w)) w = w.slice(0, -1);
+  if (w.endsWith("e") && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  const stems = group.map(stem);
+  for (const s of stems) {
+    if (!SYNONYMS.has(s)) SYNONYMS.set(s, new Set());
+    for (const other of stems) if (other !== s) SYNONYMS.get(s).add(other);
+  }
+}
+
+const METHODS_BY_VERB = new Map();
+for (const [verbs, methods] of VERB_METHODS) {
+  for (const v of verbs) METHODS_BY_VERB.set(stem(v), methods);
+}
+
+/** "customerAccounts" / "customer-accounts" / "customer_accounts" -> ["customer", "accounts"] */
+export function splitIdentifier(s) {
+  return String(s || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/** Capability text -> [{ word, stem }] without stopwords */
+export function tokenizeCapability(text) {
+  const seen = new Set();
+  const tokens = [];
+
+  for (const word of splitIdentifier(text)) {
+    if (STOPWORDS.has(word) || word.length < 2) continue;
+    const s = stem(word);
+    if (seen.has(s)) continue;
+    seen.add(s);
+    tokens.push({ word, stem: s });
+  }
+  return tokens;
+}
+
+function addWords(fieldMap, words) {
+  for (const word of words) {
+    if (STOPWORDS.has(word) || word.length < 2) continue;
+    const s = stem(word);
+    if (!fieldMap.has(s)) fieldMap.set(s, word);
+  }
+}
+
+/** Words that make a capability about receiving events rather than calling endpoints */
+const EVENT_CAPABILITY_STEMS = new Set(
+  ["webhook", "event", "callback", "notification", "notify", "receive", "listen", "subscribe", "trigger", "push"].map(stem)
+);
+
+export function isEventCapability(tokens) {
+  return tokens.some((t) => EVENT_CAPABILITY_STEMS.has(t.stem));
+}
+
+/**
+ * Index one endpoint (or webhook event) for matching.
+ * doc: { kind, method, path, operation_id, summary, description, tags, parameter_names, schema_titles }
+ * For events, `path` is the event name ("order.shipped").
+ */
+export function indexEndpoint(doc) {
+  const fields = {};
+  for (const f of Object.keys(FIELD_WEIGHTS)) fields[f] = new Map();
+
+  for (const segment of String(doc.path || "").split("/").filter(Boolean)) {
+    const param = segment.match(/^\{(.+)\}$/);
+    addWords(param ? fields.path_params : fields.path, splitIdentifier(param ? param[1] : segment));
+  }
+  addWords(fields.operation_id, splitIdentifier(doc.operation_id));
+  addWords(fields.summary, splitIdentifier(doc.summary));
+  addWords(fields.description, splitIdentifier(doc.description).slice(0, 80));
+  for (const t of doc.tags || []) addWords(fields.tags, splitIdentifier(t));
+  for (const p of doc.parameter_names || []) addWords(fields.parameters, splitIdentifier(p));
+  for (const t of doc.schema_titles || []) addWords(fields.schema_titles, splitIdentifier(t));
+
+  const all = new Set();
+  for (const m of Object.values(fields)) for (const s of m.keys()) all.add(s);
+
+  return { kind: doc.kind || "operation", method: doc.method, path: doc.path, fields, all };
+}
+
+/** Best hit for one capability token across all fields (exact beats synonym, then field weight) */
+function bestHit(token, indexed) {
+  let best = null;
+  const synonyms = SYNONYMS.get(token.stem) || new Set();
+
+  for (const [field, map] of Object.entries(indexed.fields)) {
+    const weight = FIELD_WEIGHTS[field];
+
+    if (map.has(token.stem)) {
+      if (!best || weight > best.score) best = { token: token.word, field, via: map.get(token.stem), synonym: false, score: weight };
+      continue;
+    }
+    for (const syn of synonyms) {
+      if (!map.has(syn)) continue;
+      const score = weight * SYNONYM_FACTOR;
+      if (!best || score > best.score) best = { token: token.word, field, via: map.get(syn), synonym: true, score };
+    }
+  }
+  return best;
+}
+
+function hasAny(indexed, words) {
+  return words.some((w) => indexed.all.has(stem(w)));
+}
+
+/**
+ * Score one endpoint for a capability.
+ * Returns { confidence, hits, reason } where reason lists field + synonym per hit.
+ */
+export function scoreEndpoint(tokens, indexed, preferredMethods) {
+  const hits = [];
+  let total = 0;
+
+  for (const token of tokens) {
+    let hit = bestHit(token, indexed);
+
+    const verbMethods = METHODS_BY_VERB.get(token.stem);
+    if (verbMethods && verbMethods.includes(indexed.method) && (!hit || hit.score < METHOD_VERB_WEIGHT)) {
+      hit = { token: token.word, field: "method", via: indexed.method, synonym: false, score: METHOD_VERB_WEIGHT };
+    }
+
+    if (hit) {
+      hits.push(hit);
+      total += hit.score;
+    }
+  }
+
+  const overlap = tokens.length ? total / tokens.length : 0;
+
+  // Method bonus if method aligns with inferred action
+  const methodAligned = preferredMethods.length > 0 && preferredMethods.includes(indexed.method);
+  const methodBonus = methodAligned ? 0.15 : 0;
+
+  // Webhook/event/callback
+  const isWebhookCap = tokens.some((t) => ["webhook", "event", "callback"].includes(t.stem));
+  const webhookSignal = indexed.kind === "event" || hasAny(indexed, ["webhook", "event", "callback", "hook"]);
+  const webhookBonus = isWebhookCap && webhookSignal ? 0.25 : 0;
+
+  // Search/list
+  const isSearchCap = tokens.some((t) => ["search", "query", "find", "list"].includes(t.stem));
+  const searchBonus = isSearchCap && hasAny(indexed, ["search", "query", "find", "list"]) ? 0.15 : 0;
+
+  const reasons = [];
+  if (methodAligned) reasons.push("method aligns");
+  if (hits.length) {
+    const described = hits.slice(0, 6).map((h) => {
+      const label = h.synonym ? `${h.token}≈${h.via}` : h.token === h.via || h.field === "method" ? h.token : `${h.token}~${h.via}`;
+      return `${label} (${h.field === "method" ? `method ${h.via}` : h.field})`;
+    });
+    reasons.push(`keyword hits: ${described.join(", ")}`);
+  }
+  if (webhookSignal) reasons.push("webhook/event signal");
+
+  return {
+    confidence: Math.max(0, Math.min(1, overlap + methodBonus + webhookBonus + searchBonus)),
+    hits: hits.map(({ token, field, via, synonym }) => ({ token, field, via, synonym })),
+    reason: reasons.length ? reasons.join("; ") : "semantic keyword match"
+  };
+}
+
+/** Business objects: in a capability these name the resource, not an attribute */
+const ENTITY_WORDS = [
+  "customer", "contact", "account", "client", "user", "member", "profile", "person", "people",
+  "order", "purchase", "transaction", "sale", "cart", "product", "item", "sku", "catalog",
+  "invoice", "bill", "payment", "charge", "refund", "shipment", "delivery", "inventory",
+  "event", "webhook", "callback", "notification", "subscription", "company", "organization",
+  "tenant", "merchant", "campaign", "coupon", "file", "document", "record", "data", "object",
+  "resource", "entity", "endpoint", "api", "detail", "info", "information"
+];
+const ENTITY_STEMS = new Set(ENTITY_WORDS.map(stem));
+
+/** Verbs that start a clause rather than name an attribute */
+const ACTION_STEMS = new Set(
+  [
+    ...VERB_METHODS.flatMap(([verbs]) => verbs),
+    "sync", "synchronize", "import", "export", "receive", "listen", "subscribe", "push", "pull",
+    "manage", "track", "store", "save", "write", "map", "match", "need", "want", "get"
+  ].map(stem)
+);
+
+/** "fields: a, b", "including a and b", "such as a, b" */
+const ATTRIBUTE_MARKER = /\b(?:fields?|attributes?|properties|including|includes?|such as|containing)\b\s*:?\s*(.+)$/i;
+const LIST_SEPARATOR = /,|;|&|\/|\band\b|\bor\b|\bplus\b/i;
+const MAX_ATTRIBUTE_WORDS = 3;
+
+/** How often or how fast, not what ("export contacts nightly") */
+const FREQUENCY_WORDS = new Set([
+  "nightly", "daily", "hourly", "weekly", "monthly", "quarterly", "yearly", "annually",
+  "realtime", "instantly", "immediately", "continuously", "periodically", "regularly",
+  "automatically", "once", "twice"
+]);
+
+function attributeFrom(words) {
+  const kept = words.filter((w) => !STOPWORDS.has(w) && !FREQUENCY_WORDS.has(w) && w.length > 1);
+  if (!kept.length || kept.length > MAX_ATTRIBUTE_WORDS) return null;
+  return { name: kept.join(" "), stems: kept.map(stem) };
+}
+
+/**
+ * Words after the last resource noun of a clause, and whether "with" introduces
+ * them ("order ships with tracking number" -> ["tracking", "number"], true;
+ * "sync customer email" -> ["email"], false). Any other connecting word means
+ * the rest is a clause, not an attribute.
+ */
+function trailingAttributeWords(words) {
+  let last = -1;
+  words.forEach((w, i) => {
+    if (ENTITY_STEMS.has(stem(w))) last = i;
+  });
+  if (last < 0) return { words: [], introduced: false };
+
+  let trailing = words.slice(last + 1);
+  const withAt = trailing.lastIndexOf("with");
+  if (withAt >= 0) trailing = trailing.slice(withAt + 1);
+  else if (trailing.some((w) => STOPWORDS.has(w))) return { words: [], introduced: false };
+
+  return {
+    words: trailing.filter((w) => !ENTITY_STEMS.has(stem(w)) && (withAt >= 0 || !ACTION_STEMS.has(stem(w)))),
+    introduced: withAt >= 0
+  };
+}
+
+/**
+ * Data attributes named in a capability: [{ name, stems }].
+ * Only explicit lists count: after a marker ("fields: a, b"), after "with" following
+ * a resource noun, or two or more items following one ("customer email, phone and
+ * loyalty tier"). A lone word after the resource ("contacts nightly") is not an
+ * attribute, and constraint wording ("EU data residency") is removed first.
+ */
+export function extractAttributes(text) {
+  const cleaned = String(text || "")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/\be-mail\b/gi, "email")
+    .replace(/[()"'`]/g, " ");
+  const attributes = [];
+  const add = (attr) => {
+    if (attr && !attributes.some((a) => a.name === attr.name)) attributes.push(attr);
+  };
+
+  for (const sentence of cleaned.split(/[.!?](?:\s|$)/).map(stripConstraints)) {
+    const marker = sentence.match(ATTRIBUTE_MARKER);
+    if (marker) {
+      for (const item of marker[1].split(LIST_SEPARATOR)) add(attributeFrom(splitIdentifier(item)));
+      continue;
+    }
+
+    const [first = [], ...rest] = sentence.split(LIST_SEPARATOR).map((item) => splitIdentifier(item)).filter((w) => w.length);
+    const lead = trailingAttributeWords(first);
+    if (!lead.words.length) continue;
+
+    // A new clause ("and receive webhooks") or another resource ends the list
+    const end = rest.findIndex((words) => words.some((w) => ACTION_STEMS.has(stem(w)) || ENTITY_STEMS.has(stem(w))));
+    const items = [lead.words, ...(end < 0 ? rest : rest.slice(0, end))].map(attributeFrom).filter(Boolean);
+    if (lead.introduced || items.length > 1) items.forEach(add);
+  }
+
+  return attributes;
+}
+
+/** How well one schema field name carries an attribute: 1 exact, .8 contains, .6 synonym, 0 none */
+function attributeFieldScore(attr, fieldName) {
+  const words = splitIdentifier(fieldName);
+  const fieldStems = words.map(stem);
+  const joined = attr.stems.join("");
+
+  if (fieldStems.join("") === joined || words.join("") === attr.name.replace(/\s+/g, "")) return 1;
+  if (attr.stems.every((s) => fieldStems.includes(s))) return 0.8;
+  if (attr.stems.every((s) => fieldStems.includes(s) || [...(SYNONYMS.get(s) || [])].some((syn) => fieldStems.includes(syn)))) {
+    return 0.6;
+  }
+  return 0;
+}
+
+/**
+ * Look up attributes in candidate endpoints' schema fields.
+ * candidates: [{ endpoint: "POST /contacts", request: [{ path, name }], response: [...] }]
+ * Returns { requested, found: [{ attribute, endpoint, location, field, synonym }], missing, verifiable }.
+ */
+export function matchAttributes(attributes, candidates) {
+  const found = [];
+  const missing = [];
+
+  for (const attr of attributes) {
+    let best = null;
+
+    for (const candidate of candidates) {
+      for (const location of ["request", "response"]) {
+        for (const field of candidate[location] || []) {
+          const score = attributeFieldScore(attr, field.name);
+          const depth = field.path.split(/[.[]/).length;
+          if (score && (!best || score > best.score || (score === best.score && depth < best.depth))) {
+            best = { score, depth, endpoint: candidate.endpoint, location, field: field.path };
+          }
+        }
+      }
+    }
+
+    if (best) {
+      found.push({ attribute: attr.name, endpoint: best.endpoint, location: best.location, field: best.field, synonym: best.score < 0.8 });
+    } else {
+      missing.push(attr.name);
+    }
+  }
+
+  return {
+    requested: attributes.map((a) => a.name),
+    found,
+    missing,
+    verifiable: candidates.some((c) => (c.request || []).length || (c.response || []).length)
+  };
+}
+
+const LIST_CAPABILITY_STEMS = new Set(
+  ["list", "search", "query", "find", "filter", "browse", "sync", "export", "import", "all", "bulk", "paginate", "page"].map(stem)
+);
+
+/** Capabilities that read collections and so depend on pagination/filters */
+export function isListCapability(tokens) {
+  return tokens.some((t) => LIST_CAPABILITY_STEMS.has(t.stem));
+}
+
+const BULK_CAPABILITY_STEMS = new Set(
+  ["bulk", "batch", "import", "export", "mass", "volume", "large", "million", "thousand", "migrate", "migration", "backfill"].map(stem)
+);
+
+/** Capabilities about bulk import/export or large volumes, answered best by batch/async endpoints */
+export function isBulkCapability(tokens) {
+  return tokens.some((t) => BULK_CAPABILITY_STEMS.has(t.stem));
+}
+
+/**
+ * Filter/sort criteria named in a capability:
+ * "search orders by status" -> [{ term: "status", stems, sort: false }],
+ * "list invoices sorted by due date" -> [{ term: "due date", stems, sort: true }].
+ */
+export function extractFilterTerms(text) {
+  const terms = [];
+  const re = /\b(sort(?:ed)?|order(?:ed)?)?\s*(?:by|where|filtered by)\s+([a-z][a-z0-9 _-]*?)(?=\s*(?:[,.;]|\band\b|\bor\b|\bwith\b|$))/gi;
+
+  for (const m of String(text || "").matchAll(re)) {
+    const words = splitIdentifier(m[2]).filter((w) => !STOPWORDS.has(w)).slice(0, MAX_ATTRIBUTE_WORDS);
+    if (!words.length) continue;
+    terms.push({ term: words.join(" "), stems: words.map(stem), sort: Boolean(m[1]) });
+  }
+  return terms;
+}
+
+const LIFECYCLE_STEMS = new Set(["manage", "management", "lifecycle", "crud", "maintain", "administer", "administration"].map(stem));
+
+/** "Full lifecycle management of X", "CRUD on X", "manage X" */
+export function isLifecycleCapability(tokens) {
+  return tokens.some((t) => LIFECYCLE_STEMS.has(t.stem));
+}
+
+/** Lexicographic comparison of [exact, -depth, operations] ranks */
+function outranks(a, b) {
+  const i = a.findIndex((v, j) => v !== b[j]);
+  return i >= 0 && a[i] > b[i];
+}
+
+/**
+ * Best resource (lib/resources.js) for a capability: exact name beats synonym,
+ * then current over superseded (/v1 when /v2 has it), then shallower nesting,
+ * then more operations.
+ * Returns { resource, token, synonym } or null.
+ */
+export function matchResource(tokens, resources) {
+  let best = null;
+
+  for (const resource of resources) {
+    const nameStems = splitIdentifier(resource.name).map(stem);
+    const head = nameStems[nameStems.length - 1];
+    if (!head) continue;
+
+    for (const token of tokens) {
+      const exact = token.stem === head;
+      const synonym = !exact && (SYNONYMS.get(token.stem) || new Set()).has(head);
+      if (!exact && !synonym) continue;
+
+      const opCount = Object.values(resource.operations).reduce((n, list) => n + list.length, 0);
+      const rank = [exact ? 1 : 0, resource.superseded_by ? 0 : 1, -resource.depth, opCount];
+      if (!best || outranks(rank, best.rank)) {
+        best = { resource, token: token.word, synonym, rank };
+      }
+    }
+  }
+
+  return best ? { resource: best.resource, token: best.token, synonym: best.synonym } : null;
+}
@@ -0,0 +1,437 @@
+/**
+ * Hard constraints stated in a user_request, checked against the surface map.
+ *
+ * Categories:
+ * - auth      "must use OAuth2 client credentials", "API key", "mTLS"
+ * - latency   "near real-time", "within 5 minutes", "under 30 seconds"
+ * - volume    "1M records nightly", "500k contacts per day", "100 requests per second"
+ * - region    "EU data residency", "hosted in the US", "UK region"
+ * - protocol  REST, GraphQL, gRPC, SOAP, HTTPS, WebSocket, JSON, XML
+ *
+ * Each constraint gets status satisfied | violated | unknown with the spec
+ * evidence behind it. "unknown" means the spec cannot answer it (residency is
+ * usually contractual, throughput depends on undocumented limits).
+ */
+
+const URL_PATTERN = /https?:\/\/\S+/gi;
+const SENTENCE_SPLIT = /\n|[!?;]|\.(?=\s|$)/;
+const MAX_TEXT = 200;
+
+const TIME_UNITS = {
+  ms: 0.001, millisecond: 0.001, milliseconds: 0.001,
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+  min: 60, mins: 60, minute: 60, minutes: 60,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  day: 86400, days: 86400
+};
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+const PERIODS = {
+  second: "second", sec: "second", s: "second",
+  minute: "minute", min: "minute",
+  hour: "hour", hourly: "hour", h: "hour",
+  day: "day", daily: "day", night: "day", nightly: "day", d: "day",
+  week: "week", weekly: "week",
+  month: "month", monthly: "month"
+};
+
+/** OAuth2 flow names (components.securitySchemes.*.flows keys) by phrase */
+const OAUTH_FLOWS = [
+  [/client[\s_-]?credentials?|machine[\s-]to[\s-]machine|\bm2m\b|server[\s-]to[\s-]server|service account/i, "clientCredentials"],
+  [/authori[sz]ation[\s_-]?code|auth code|3[\s-]?legged|three[\s-]legged|pkce/i, "authorizationCode"],
+  [/password (?:grant|flow)|resource owner/i, "password"],
+  [/implicit (?:grant|flow)/i, "implicit"]
+];
+
+const AUTH_RULES = [
+  [/\boauth\s*2(?:\.0)?\b|\boauth\b/i, { type: "oauth2" }],
+  [/\bopen\s?id connect\b|\boidc\b/i, { type: "openIdConnect" }],
+  [/\bapi[\s_-]?keys?\b|\bapikey\b/i, { type: "apiKey" }],
+  [/\bbasic auth(?:entication)?\b|\bhttp basic\b/i, { type: "http", scheme: "basic" }],
+  [/\bbearer tokens?\b|\bjwts?\b/i, { type: "http", scheme: "bearer" }],
+  [/\bmtls\b|\bmutual tls\b|\bclient certificates?\b/i, { type: "mutualTLS" }]
+];
+
+const REALTIME = /\b(near[\s-])?real[\s-]?time\b|\brealtime\b|\binstant(?:ly)?\b|\bimmediate(?:ly)?\b|\blow[\s-]latency\b/i;
+const WITHIN = /\b(?:within|under|less than|below|at most|no more than|max(?:imum)?(?: of)?|latency of)\s*(?:<\s*)?(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?|mins?|minutes?|h|hrs?|hours?|days?)\b/i;
+
+const VOLUME = /\b(\d+(?:[.,]\d+)*)\s*(k|m|mm|b|bn|thousand|million|billion)?\+?\s+([a-z][a-z-]*)(?:\s+(?:per|a|an|each|every)\s+(second|sec|minute|min|hour|day|night|week|month)|\s+(hourly|daily|nightly|weekly|monthly)|\s*\/\s*(s|sec|min|h|hour|d|day)\b)?/gi;
+const THROUGHPUT_NOUNS = /^(requests?|calls?|api calls?|req|rps|qps|messages?|events?)$/i;
+
+/** Country codes are matched case-sensitively so the pronoun "us" does not count; hints are host labels */
+export const REGIONS = [
+  { code: "EU", re: /\b(EU|EEA)\b|\b[Ee]urop(?:e|ean)(?: [Uu]nion)?\b/, hints: ["eu", "europe", "emea", "de", "fr", "ie", "nl"] },
+  { code: "US", re: /\b(US|USA)\b|\b[Uu]nited [Ss]tates\b|\b[Nn]orth [Aa]merica\b/, hints: ["us", "usa", "na"] },
+  { code: "UK", re: /\b(UK|GB)\b|\b[Uu]nited [Kk]ingdom\b|\b[Bb]ritain\b/, hints: ["uk", "gb"] },
+  { code: "DE", re: /\bgermany\b|\bgerman\b/i, hints: ["de", "eu"] },
+  { code: "CA", re: /\bcanada\b|\bcanadian\b/i, hints: ["ca"] },
+  { code: "AU", re: /\baustralia\b|\baustralian\b/i, hints: ["au", "apac"] },
+  { code: "JP", re: /\bjapan\b/i, hints: ["jp", "apac"] },
+  { code: "CH", re: /\bswitzerland\b|\bswiss\b/i, hints: ["ch"] },
+  { code: "APAC", re: /\bAPAC\b|\basia[\s-]pacific\b/i, hints: ["apac", "ap", "sg", "au", "jp"] }
+];
+const REGION_CONTEXT = /residen|region|hosted|hosting|data ?cent(?:er|re)|sovereign|stay in|remain in|stored in|located in|based in|within the/i;
+const ALL_REGION_HINTS = new Set(REGIONS.flatMap((r) => r.hints));
+
+const PROTOCOLS = [
+  ["rest", /\brest(?:ful)?\b/i],
+  ["graphql", /\bgraphql\b/i],
+  ["grpc", /\bgrpc\b/i],
+  ["soap", /\bsoap\b/i],
+  ["https", /\bhttps\b|\btls\b(?! client)/i],
+  ["websocket", /\bweb ?sockets?\b|\bwss\b/i],
+  ["sse", /\bserver[\s-]sent events\b|\bsse\b/i],
+  ["sftp", /\bs?ftp\b/i],
+  ["json", /(?<![.\w])json\b/i],
+  ["xml", /(?<![.\w])xml\b/i]
+];
+
+function parseCount(raw, multiplier) {
+  const n = Number(String(raw).replace(/,(?=\d{3}\b)/g, "").replace(",", "."));
+  return Number.isFinite(n) ? Math.round(n * (MULTIPLIERS[String(multiplier || "").toLowerCase()] || 1)) : null;
+}
+
+function sentences(text) {
+  return String(text || "")
+    .replace(URL_PATTERN, " ")
+    .split(SENTENCE_SPLIT)
+    .map((s) => s.replace(/^[\s>*-]+/, "").replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+/** Constraints found in one sentence: [{ category, spans, requirement }]; spans are the matched wording */
+function constraintsIn(sentence) {
+  const found = [];
+
+  for (const [re, requirement] of AUTH_RULES) {
+    const m = sentence.match(re);
+    if (!m) continue;
+    const flow = requirement.type === "oauth2" ? OAUTH_FLOWS.find(([flowRe]) => flowRe.test(sentence)) : null;
+    const spans = [m[0], flow ? sentence.match(flow[0])[0] : null].filter(Boolean);
+    found.push({ category: "auth", spans, requirement: { ...requirement, flow: flow ? flow[1] : null } });
+  }
+  // "client credentials" alone implies OAuth2
+  const implied = sentence.match(/client[\s_-]?credentials?|authori[sz]ation[\s_-]?code|pkce/i);
+  if (implied && !found.some((c) => c.requirement.type === "oauth2")) {
+    const [, flow] = OAUTH_FLOWS.find(([flowRe]) => flowRe.test(implied[0]));
+    found.push({ category: "auth", spans: [implied[0]], requirement: { type: "oauth2", flow } });
+  }
+
+  const within = sentence.match(WITHIN);
+  const realtime = sentence.match(REALTIME);
+  const withinIsTime = within && TIME_UNITS[within[2].toLowerCase()];
+  if (realtime || (withinIsTime && /latenc|real|fresh|delay|sync|propagat|availab|updat|reflect|visible/i.test(sentence))) {
+    found.push({
+      category: "latency",
+      spans: [realtime?.[0], withinIsTime ? within[0] : null].filter(Boolean),
+      requirement: {
+        realtime: Boolean(realtime),
+        max_seconds: withinIsTime ? Number(within[1]) * TIME_UNITS[within[2].toLowerCase()] : null
+      }
+    });
+  }
+
+  for (const m of sentence.matchAll(VOLUME)) {
+    const [, raw, multiplier, noun, perWord, adverb, slash] = m;
+    if (TIME_UNITS[noun.toLowerCase()] || /^(percent|%|x|times|years?|months?|weeks?)$/i.test(noun)) continue;
+    const count = parseCount(raw, multiplier);
+    const period = PERIODS[String(perWord || adverb || slash || "").toLowerCase()] || null;
+    if (count === null || (!multiplier && count < 1000 && !period)) continue;
+
+    found.push({
+      category: "volume",
+      spans: [m[0].trim()],
+      requirement: { count, unit: THROUGHPUT_NOUNS.test(noun) ? "requests" : "records", noun: noun.toLowerCase(), per: period }
+    });
+  }
+
+  if (REGION_CONTEXT.test(sentence)) {
+    for (const region of REGIONS) {
+      const m = sentence.match(region.re);
+      if (!m) continue;
+      found.push({ category: "region", spans: [m[0]], requirement: { region: region.code } });
+    }
+  }
+
+  for (const [protocol, re] of PROTOCOLS) {
+    const m = sentence.match(re);
+    if (m) found.push({ category: "protocol", spans: [m[0]], requirement: { protocol } });
+  }
+
+  return found;
+}
+
+/**
+ * Constraints stated in free text.
+ * Returns [{ id, category, text, match, requirement }]; text is the sentence it came from.
+ */
+export function extractConstraints(text) {
+  const constraints = [];
+  const seen = new Set();
+
+  for (const sentence of sentences(text)) {
+    for (const { category, spans, requirement } of constraintsIn(sentence)) {
+      const key = `${category}:${JSON.stringify(requirement)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      constraints.push({
+        id: `con-${constraints.length + 1}`,
+        category,
+        text: sentence.slice(0, MAX_TEXT),
+        match: spans.join(" "),
+        requirement
+      });
+    }
+  }
+  return constraints;
+}
+
+/**
+ * The phrase with constraint wording removed, so "must use OAuth2" is not mistaken
+ * for a capability. A volume keeps its noun ("import 1M contacts per day" -> "import contacts").
+ */
+export function stripConstraints(phrase) {
+  let rest = String(phrase || "");
+  for (const c of constraintsIn(rest)) {
+    for (const span of c.spans) rest = rest.replace(span, c.category === "volume" ? ` ${c.requirement.noun} ` : " ");
+  }
+  return rest.replace(/\s+/g, " ").trim();
+}
+
+function result(status, reason, evidence = []) {
+  return { status, reason, evidence };
+}
+
+function checkAuth(req, surface) {
+  const schemes = surface.auth.schemes;
+  if (!schemes.length) return result("unknown", "The spec declares no security schemes.");
+
+  const matches = schemes.filter(
+    (s) => s.type === req.type && (!req.scheme || String(s.scheme || "").toLowerCase() === req.scheme)
+  );
+  const label = (s) => `auth.schemes[${s.name}]: ${s.type}${s.scheme ? ` ${s.scheme}` : ""}${s.flows.length ? ` (${s.flows.join(", ")})` : ""}`;
+
+  if (!matches.length) {
+    // mTLS is often handled outside the spec
+    if (req.type === "mutualTLS") return result("unknown", "No mutualTLS scheme declared; mTLS is often configured outside the spec.", schemes.map(label));
+    return result("violated", `No ${req.scheme || req.type} security scheme declared.`, schemes.map(label));
+  }
+  if (req.flow) {
+    const withFlow = matches.filter((s) => s.flows.includes(req.flow));
+    if (!withFlow.length) return result("violated", `OAuth2 is declared but without the ${req.flow} flow.`, matches.map(label));
+    return result("satisfied", `OAuth2 ${req.flow} flow declared.`, withFlow.map(label));
+  }
+  return result("satisfied", `${req.scheme || req.type} security scheme declared.`, matches.map(label));
+}
+
+/** GET collections with an updated-since style filter (incremental polling) */
+function incrementalFilters(surface) {
+  return surface.endpoints.flatMap((ep) =>
+    (ep.collection?.filters || [])
+      .filter((f) => /updated|modified|changed|since|delta|last_?sync/i.test(f.name))
+      .map((f) => `${ep.method} ${ep.path} ?${f.name}`)
+  );
+}
+
+function checkLatency(req, surface) {
+  const events = surface.webhooks.events;
+  const streams = surface.endpoints.filter((ep) =>
+    ep.response_schemas.some((r) => r.content_types.some((t) => /event-stream/i.test(t)))
+  );
+  if (events.length || streams.length) {
+    return result("satisfied", "Push delivery is documented (webhooks/callbacks or server-sent events).", [
+      ...events.slice(0, 5).map((e) => `webhooks.events: ${e.name} (${e.source})`),
+      ...streams.slice(0, 3).map((ep) => `${ep.method} ${ep.path}: text/event-stream`)
+    ]);
+  }
+
+  const filters = incrementalFilters(surface);
+  if (req.max_seconds !== null && req.max_seconds >= 3600) {
+    return result("unknown", "No push delivery, but scheduled polling can meet an hourly or longer window; depends on rate limits.", filters.slice(0, 5));
+  }
+  if (filters.length && req.max_seconds !== null) {
+    return result("unknown", "No webhooks; incremental polling is possible, so latency depends on polling frequency and rate limits.", filters.slice(0, 5));
+  }
+  return result("violated", "No webhooks, callbacks or event streams documented; only polling is available.", filters.slice(0, 5));
+}
+
+function checkVolume(req, surface) {
+  const bulk = surface.bulk_async;
+  const limits = surface.resilience.rate_limits;
+
+  if (req.unit === "requests") {
+    const evidence = [
+      ...limits.headers.map((h) => `rate-limit header: ${h}`),
+      ...limits.extensions.map((x) => `${x.pointer}: ${x.value}`),
+      ...(limits.endpoints_documenting_429 ? [`${limits.endpoints_documenting_429} endpoint(s) document 429`] : [])
+    ];
+    return result(
+      "unknown",
+      evidence.length
+        ? "Rate limiting is documented but the spec does not state whether the required throughput fits; confirm limits with the vendor."
+        : "No rate limits documented; confirm the allowed request rate with the vendor.",
+      evidence
+    );
+  }
+
+  const bulkEvidence = [
+    ...bulk.batch_operations.map((b) => `${b.endpoint}: batch${b.max_items ? ` (max ${b.max_items})` : ""}`),
+    ...bulk.async_operations.map((a) => `${a.endpoint}: 202 async job`),
+    ...bulk.file_transfers.map((f) => `${f.endpoint}: file ${f.upload.length ? "upload" : "download"}`)
+  ];
+  if (bulkEvidence.length) return result("satisfied", "Bulk, async job or file-transfer operations are available.", bulkEvidence.slice(0, 8));
+
+  const paginated = surface.endpoints.filter((ep) => ep.collection?.paginated);
+  if (!paginated.length) {
+    return result(
+      req.count >= 100000 ? "violated" : "unknown",
+      "No bulk operations and no paginated collections documented.",
+      []
+    );
+  }
+
+  const sizes = paginated.map((ep) => ep.collection.pagination.page_size?.maximum).filter((n) => typeof n === "number" && n > 0);
+  const pageSize = sizes.length ? Math.max(...sizes) : null;
+  const estimate = pageSize ? [`~${Math.ceil(req.count / pageSize)} paginated requests at max page size ${pageSize}`] : [];
+  return result(
+    "unknown",
+    "No bulk operations; volume must go through paginated reads and single-record writes, so feasibility depends on rate limits.",
+    [...estimate, ...paginated.slice(0, 5).map((ep) => `${ep.method} ${ep.path}: ${ep.collection.pagination.styles.join(", ")}`)]
+  );
+}
+
+/**
+ * Host labels of every expanded server URL (root, path and operation level) and
+ * server variable values, e.g. "api.eu1.example.com" -> ["api", "eu", "example", "com"]
+ */
+function regionLabels(surface) {
+  const labels = [];
+  for (const entry of surface.servers.entries) {
+    for (const { url } of entry.expanded) {
+      let host = url;
+      try {
+        host = new URL(url).host;
+      } catch {
+        // relative base URL: use as is
+      }
+      for (const label of host.toLowerCase().split(/[.\-_/]/)) {
+        labels.push({ label: label.replace(/\d+$/, ""), source: `servers: ${url} (${entry.pointer})` });
+      }
+    }
+    for (const v of entry.variables) {
+      for (const value of [...(v.enum || []), v.default].filter((x) => typeof x === "string")) {
+        for (const label of value.toLowerCase().split(/[.\-_]/)) {
+          labels.push({ label: label.replace(/\d+$/, ""), source: `${entry.pointer}/variables/${v.name}: ${value}` });
+        }
+      }
+    }
+  }
+  return labels;
+}
+
+function checkRegion(req, surface) {
+  const region = REGIONS.find((r) => r.code === req.region);
+  const labels = regionLabels(surface);
+  if (!labels.length) return result("unknown", "No base URLs declared; data residency must be confirmed with the vendor.");
+
+  const hits = labels.filter((l) => region.hints.includes(l.label));
+  if (hits.length) return result("satisfied", `Server in ${region.code} declared.`, Array.from(new Set(hits.map((h) => h.source))));
+
+  const other = labels.filter((l) => ALL_REGION_HINTS.has(l.label));
+  if (other.length) {
+    return result("violated", `Declared servers are region-specific but none is in ${region.code}.`, Array.from(new Set(other.map((h) => h.source))));
+  }
+  return result("unknown", "Base URLs carry no region; data residency is usually contractual, confirm with the vendor.", surface.base_urls.map((u) => `base_urls: ${u}`));
+}
+
+function checkProtocol(req, surface) {
+  const types = new Set(
+    surface.endpoints.flatMap((ep) => [...(ep.request_schema?.content_types || []), ...ep.response_schemas.flatMap((r) => r.content_types)])
+  );
+  const find = (re) => Array.from(types).filter((t) => re.test(t));
+
+  switch (req.protocol) {
+    case "rest":
+      return surface.endpoints.length
+        ? result("satisfied", "The spec describes HTTP/REST endpoints.", [`${surface.endpoints.length} endpoint(s)`])
+        : result("unknown", "The spec declares no endpoints.");
+    case "https": {
+      const insecure = surface.base_urls.filter((u) => /^http:\/\//i.test(u));
+      if (insecure.length) return result("violated", "Some base URLs use plain HTTP.", insecure.map((u) => `base_urls: ${u}`));
+      const secure = surface.base_urls.filter((u) => /^https:\/\//i.test(u));
+      return secure.length
+        ? result("satisfied", "All base URLs use HTTPS.", secure.map((u) => `base_urls: ${u}`))
+        : result("unknown", "No absolute base URLs declared.");
+    }
+    case "json":
+    case "xml": {
+      const found = find(req.protocol === "json" ? /json/i : /xml/i);
+      if (found.length) return result("satisfied", `${req.protocol.toUpperCase()} bodies are documented.`, found);
+      return types.size
+        ? result("violated", `No ${req.protocol.toUpperCase()} content types documented.`, Array.from(types).slice(0, 5))
+        : result("unknown", "No content types documented.");
+    }
+    case "websocket": {
+      const wss = surface.base_urls.filter((u) => /^wss?:\/\//i.test(u));
+      return wss.length
+        ? result("satisfied", "A WebSocket server is declared.", wss.map((u) => `base_urls: ${u}`))
+        : result("unknown", "OpenAPI does not describe WebSocket APIs; ask whether one exists.");
+    }
+    case "sse": {
+      const found = find(/event-stream/i);
+      return found.length
+        ? result("satisfied", "Server-sent event streams are documented.", found)
+        : result("unknown", "No text/event-stream responses documented.");
+    }
+    case "graphql": {
+      const gql = surface.endpoints.filter((ep) => /graphql/i.test(ep.path));
+      if (gql.length) return result("satisfied", "A GraphQL endpoint is listed.", gql.map((ep) => `${ep.method} ${ep.path}`));
+      return result("unknown", "The spec describes a REST API; ask whether a GraphQL API exists.");
+    }
+    case "soap": {
+      const found = find(/soap|text\/xml/i);
+      if (found.length) return result("satisfied", "SOAP/XML bodies are documented.", found);
+      return result("unknown", "The spec describes a REST API; ask whether a SOAP API exists.");
+    }
+    default:
+      return result("unknown", `OpenAPI does not describe ${req.protocol.toUpperCase()}; ask whether the vendor offers it.`);
+  }
+}
+
+const CHECKS = { auth: checkAuth, latency: checkLatency, volume: checkVolume, region: checkRegion, protocol: checkProtocol };
+
+/**
+ * Check extracted constraints against one or more specs ([{ id, surface }]; server
+ * variables come from surface.servers). Returns the constraints with
+ * { status, reason, evidence }. With several specs a constraint is satisfied when
+ * any spec satisfies it and violated only when every spec violates it; by_spec
+ * lists the per-spec status and evidence is prefixed with the spec id.
+ */
+export function checkConstraints(constraints, specs) {
+  return constraints.map((c) => {
+    const results = specs.map((spec) => ({ spec: spec.id, ...CHECKS[c.category](c.requirement, spec.surface) }));
+    if (results.length === 1) {
+      const { spec, ...checked } = results[0];
+      return { ...c, ...checked };
+    }
+
+    const satisfied = results.filter((r) => r.status === "satisfied");
+    const violated = results.filter((r) => r.status === "violated");
+    const status = satisfied.length ? "satisfied" : violated.length === results.length ? "violated" : "unknown";
+    const deciding = satisfied.length ? satisfied : status === "violated" ? violated : results.filter((r) => r.status === "unknown");
+
+    return {
+      ...c,
+      status,
+      reason: deciding.map((r) => `${r.spec}: ${r.reason}`).join(" "),
+      evidence: deciding.flatMap((r) => r.evidence.map((e) => `${r.spec}: ${e}`)),
+      by_spec: results.map((r) => ({ spec: r.spec, status: r.status }))
+    };
+  });
+}
+
+/** Constraints when no spec is available: all unknown */
+export function uncheckedConstraints(constraints, reason) {
+  return constraints.map((c) => ({ ...c, ...result("unknown", reason) }));
+}
@@ -0,0 +1,185 @@
+/**
+ * Endpoint criticality tiers, so reports can lead with the endpoints that matter.
+ *
+ * Tiers (first matching rule wins):
+ * - diagnostics  health / ping / version / metrics endpoints
+ * - auth         token, OAuth, login and session endpoints
+ * - bulk         bulk / batch / import / export operations
+ * - admin        configuration, settings, API keys, roles, webhook management, audit
+ * - core         CRUD on a primary resource (collection or single item)
+ * - supporting   everything else (sub-resources, actions, lookups)
+ *
+ * A resource is "primary" when it is among the most referenced top-level
+ * resources of the spec. The score (0-1) orders endpoints inside and across
+ * tiers using tier, resource frequency, schema size and method; deprecated and
+ * superseded operations score lower.
+ */
+
+import { isDiagnosticPath, literalSegments, topResource } from "./resources.js";
+
+const AUTH_SEGMENT = /^(oauth2?|token|tokens|auth|authorize|login|logout|signin|signout|session|sessions|refresh|revoke|introspect|jwks|userinfo)$/i;
+const BULK_WORD = /bulk|batch|import|export/i;
+const ADMIN_SEGMENT = /^(admin|config|configuration|configurations|settings|preferences|api-?keys|apikeys|roles|permissions|audit|audit-?logs|logs|webhooks|webhook-?subscriptions|integrations|apps|scopes|quotas|usage|billing-settings)$/i;
+const ADMIN_TAG = /admin|setting|config|management|internal/i;
+
+const TIER_BASE = {
+  core: 0.6,
+  auth: 0.5,
+  bulk: 0.5,
+  supporting: 0.3,
+  admin: 0.2,
+  diagnostics: 0.1
+};
+
+const PRIMARY_RESOURCE_COUNT = 6;
+const DEFAULT_KEY_ENDPOINTS = 20;
+const DEPRECATED_PENALTY = 0.15;
+const SUPERSEDED_PENALTY = 0.05;
+
+function schemaFieldCount(ep) {
+  const req = ep.request_schema?.schema?.properties?.length || 0;
+  const res = Math.max(
+    0,
+    ...ep.response_schemas.map((r) => (r.schema?.properties?.length || 0) + (r.schema?.items?.properties?.length || 0))
+  );
+  return req + res;
+}
+
+/** CRUD shape: "collection" (/customers), "item" (/customers/{id}) or null (deeper / actions) */
+function crudShape(path) {
+  const segments = literalSegments(path);
+  if (segments.length === 1 && !/^\{.+\}$/.test(segments[0])) return "collection";
+  if (segments.length === 2 && !/^\{.+\}$/.test(segments[0]) && /^\{.+\}$/.test(segments[1])) return "item";
+  return null;
+}
+
+const CRUD_VERB = {
+  collection: { GET: "list", POST: "create" },
+  item: { GET: "read", PUT: "replace", PATCH: "update", DELETE: "delete" }
+};
+
+/** Non-resource tiers (diagnostics, auth, bulk, admin), or null for resource endpoints */
+function classifySpecial(ep) {
+  const segments = literalSegments(ep.path);
+  const words = [...segments, ep.operation_id || ""];
+  const tags = ep.tags || [];
+
+  if (isDiagnosticPath(ep.path)) {
+    return { tier: "diagnostics", rationale: `diagnostic path "/${segments[0]}"` };
+  }
+
+  const authSegment = segments.find((s) => AUTH_SEGMENT.test(s));
+  if (authSegment || tags.some((t) => /^(auth|authentication|oauth)/i.test(t))) {
+    return { tier: "auth", rationale: authSegment ? `auth path segment "${authSegment}"` : "auth tag" };
+  }
+
+  const bulkWord = words.find((w) => BULK_WORD.test(w));
+  if (bulkWord) return { tier: "bulk", rationale: `bulk/batch signal in "${bulkWord}"` };
+
+  const adminSegment = segments.find((s) => ADMIN_SEGMENT.test(s));
+  const adminTag = tags.find((t) => ADMIN_TAG.test(t));
+  if (adminSegment || adminTag) {
+    return { tier: "admin", rationale: adminSegment ? `admin/config path segment "${adminSegment}"` : `admin tag "${adminTag}"` };
+  }
+  return null;
+}
+
+/** core vs supporting for resource endpoints */
+function classifyResource(ep, primary, counts) {
+  const resource = topResource(ep.path);
+  const shape = crudShape(ep.path);
+  const verb = shape ? CRUD_VERB[shape][ep.method] : null;
+
+  if (verb && primary.has(resource)) {
+    return { tier: "core", rationale: `${verb} on primary resource "${resource}" (${counts.get(resource)} operations)` };
+  }
+  if (verb) return { tier: "supporting", rationale: `${verb} on secondary resource "${resource}"` };
+  return {
+    tier: "supporting",
+    rationale: resource ? `sub-resource or action under "${resource}"` : "no resource in path"
+  };
+}
+
+/**
+ * Classify endpoints in place: sets criticality (tier), criticality_score and
+ * criticality_rationale. Returns { tiers: { tier: count }, primary_resources, key_endpoints }.
+ */
+export function classifyEndpoints(endpoints, options = {}) {
+  const { keyEndpointCount = DEFAULT_KEY_ENDPOINTS } = options;
+
+  const special = new Map(endpoints.map((ep) => [ep, classifySpecial(ep)]));
+
+  // Resource frequency over resource endpoints only; single-use resources are not primary
+  // unless no resource is used more than once
+  const counts = new Map();
+  for (const ep of endpoints) {
+    const r = topResource(ep.path);
+    if (r && !special.get(ep)) counts.set(r, (counts.get(r) || 0) + 1);
+  }
+  const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+  const maxCount = ranked[0]?.[1] || 0;
+  const primary = new Set(
+    ranked.filter(([, n], i) => i < PRIMARY_RESOURCE_COUNT && (n > 1 || maxCount === 1)).map(([r]) => r)
+  );
+
+  const tiers = Object.fromEntries(Object.keys(TIER_BASE).map((t) => [t, 0]));
+
+  for (const ep of endpoints) {
+    const { tier, rationale } = special.get(ep) || classifyResource(ep, primary, counts);
+    const resourceShare = (counts.get(topResource(ep.path)) || 0) / Math.max(1, endpoints.length);
+    const fields = schemaFieldCount(ep);
+    const score =
+      TIER_BASE[tier] +
+      Math.min(0.2, resourceShare * 2) +
+      Math.min(0.1, fields / 100) +
+      (["POST", "PUT", "PATCH"].includes(ep.method) ? 0.05 : 0) -
+      // Deprecated and superseded operations (lib/deprecation.js) shouldn't lead the shortlist
+      (ep.deprecation ? DEPRECATED_PENALTY : ep.superseded_by ? SUPERSEDED_PENALTY : 0);
+
+    const status = ep.deprecation ? "deprecated" : ep.superseded_by ? `superseded by ${ep.superseded_by}` : null;
+    ep.criticality = tier;
+    ep.criticality_score = Number(Math.max(0, Math.min(1, score)).toFixed(2));
+    ep.criticality_rationale = [rationale, fields ? `${fields} schema fields` : null, status].filter(Boolean).join("; ");
+    tiers[tier] += 1;
+  }
+
+  return {
+    tiers,
+    primary_resources: ranked.filter(([r]) => primary.has(r)).map(([resource, operations]) => ({ resource, operations })),
+    key_endpoints: keyEndpoints(endpoints, keyEndpointCount)
+  };
+}
+
+function keyEndpoints(endpoints, count) {
+  return endpoints
+    .filter((ep) => ep.criticality !== "diagnostics")
+    .sort((a, b) => b.criticality_score - a.criticality_score)
+    .slice(0, count)
+    .map((ep) => ({
+      method: ep.method,
+      path: ep.path,
+      tier: ep.criticality,
+      score: ep.criticality_score,
+      rationale: ep.criticality_rationale
+    }));
+}
+
+/**
+ * A classifyEndpoints() result restricted to some of the classified endpoints.
+ * Tiers and scores are not recomputed: they stay relative to the whole API.
+ */
+export function scopeCriticality(criticality, endpoints, options = {}) {
+  const { keyEndpointCount = DEFAULT_KEY_ENDPOINTS } = options;
+
+  const tiers = Object.fromEntries(Object.keys(criticality.tiers).map((t) => [t, 0]));
+  for (const ep of endpoints) tiers[ep.criticality] += 1;
+
+  const operations = (resource) => endpoints.filter((ep) => topResource(ep.path) === resource && !classifySpecial(ep)).length;
+  return {
+    tiers,
+    primary_resources: criticality.primary_resources
+      .map(({ resource }) => ({ resource, operations: operations(resource) }))
+      .filter((r) => r.operations),
+    key_endpoints: keyEndpoints(endpoints, keyEndpointCount)
+  };
+}
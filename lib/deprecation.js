@@ -0,0 +1,239 @@
+/**
+ * Deprecation, sunset and API-version signals.
+ *
+ * Per endpoint:
+ * - deprecation   null for current operations, else { sunset, sunset_passed,
+ *                 replacement, signals, pointer }. Signals: `deprecated: true`,
+ *                 x-deprecated, x-sunset (operation or path item), "Deprecated"
+ *                 in the summary/description; Sunset / Deprecation response
+ *                 headers are listed when one of those is present
+ * - api_version   version-looking path segment ("v1", "v2.1", "2024-01") or null
+ * - superseded_by the same method + path in a newer version ("GET /v2/contacts")
+ *
+ * summarizeVersions() groups operations by version for the surface map.
+ * operationStatus() is what the coverage matrix ranks by: current operations
+ * are preferred, deprecated and superseded ones carry a penalty.
+ */
+
+import { toPointer } from "./schema_resolver.js";
+
+const VERSION_SEGMENT = /^v(\d+)(?:\.(\d+))?(?:[-_.]?(alpha|beta|preview)\d*)?$/i;
+const DATE_VERSION = /^\d{4}-\d{2}(?:-\d{2})?$/;
+const MAX_VERSION_DEPTH = 3;
+const SUMMARY_DEPRECATED = /^\s*\[?deprecated\]?\b|\bthis (?:endpoint|operation|api|method) (?:is|has been) deprecated\b/i;
+const REPLACEMENT_TEXT = /\b(?:use|replaced by|superseded by|migrate to)\s+`?((?:(?:GET|POST|PUT|PATCH|DELETE)\s+)?\/[\w/{}.:-]+)`?/i;
+const SUNSET_HEADERS = /^(sunset|deprecation)$/i;
+const REPLACEMENT_KEYS = ["x-replaced-by", "x-replacement", "x-superseded-by"];
+
+/** Penalties applied to matcher confidence by operationStatus() */
+const PENALTIES = { sunset: 0.35, deprecated: 0.2, superseded: 0.1, current: 0 };
+
+/** "2025-06-30", "Mon, 30 Jun 2025 00:00:00 GMT" -> "2025-06-30"; null when unparseable */
+function isoDate(value) {
+  if (value === null || value === undefined || value === true || value === false) return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/** x-deprecated may be true, a message, or { sunset, replacement, ... } */
+function extensionDetails(ext) {
+  if (!ext) return null;
+  if (typeof ext === "object") {
+    return {
+      sunset: isoDate(ext.sunset || ext.date || ext.removal),
+      replacement: ext.replacement || ext.replaced_by || ext.replacedBy || ext.use || null
+    };
+  }
+  return { sunset: null, replacement: typeof ext === "string" ? REPLACEMENT_TEXT.exec(ext)?.[1] || null : null };
+}
+
+/** Sunset / Deprecation headers declared on any response */
+function sunsetHeaders(resolver, responses) {
+  const found = new Set();
+  for (const response of Object.values(responses || {})) {
+    const { value } = resolver.deref(response);
+    for (const name of Object.keys(value?.headers || {})) {
+      if (SUNSET_HEADERS.test(name)) found.add(name);
+    }
+  }
+  return Array.from(found).sort();
+}
+
+/** Deprecation details for one operation, or null when nothing marks it */
+export function operationDeprecation(resolver, { pathItem, op, path, method }) {
+  const signals = [];
+  const pointer = toPointer(["paths", path, method.toLowerCase()]);
+  let sunset = null;
+  let replacement = null;
+
+  if (op.deprecated === true) signals.push("deprecated: true");
+
+  for (const [node, where] of [[op, "operation"], [pathItem, "path item"]]) {
+    const ext = extensionDetails(node?.["x-deprecated"]);
+    if (ext) {
+      signals.push(`x-deprecated (${where})`);
+      sunset = sunset || ext.sunset;
+      replacement = replacement || ext.replacement;
+    }
+    const date = isoDate(node?.["x-sunset"] ?? node?.["x-sunset-date"]);
+    if (date) {
+      signals.push(`x-sunset ${date} (${where})`);
+      sunset = sunset || date;
+    }
+    for (const key of REPLACEMENT_KEYS) {
+      if (typeof node?.[key] === "string") replacement = replacement || node[key];
+    }
+  }
+
+  const texts = [op.summary, op.description].filter((t) => typeof t === "string");
+  if (texts.some((t) => SUMMARY_DEPRECATED.test(t))) signals.push("described as deprecated");
+  if (!signals.length) return null;
+
+  // Many APIs declare these headers everywhere, so they only add detail to an existing signal
+  const headers = sunsetHeaders(resolver, op.responses);
+  if (headers.length) signals.push(`${headers.join(" / ")} response header`);
+
+  const text = texts.join("\n");
+  replacement = replacement || REPLACEMENT_TEXT.exec(text)?.[1] || null;
+  return {
+    sunset,
+    sunset_passed: Boolean(sunset && sunset < new Date().toISOString().slice(0, 10)),
+    replacement,
+    signals,
+    pointer
+  };
+}
+
+/** Version segment within the first path segments: "/api/v2/contacts" -> { version: "v2", index: 1 } */
+export function pathVersion(path) {
+  const segments = String(path || "").split("/").filter(Boolean);
+  for (const [index, segment] of segments.slice(0, MAX_VERSION_DEPTH).entries()) {
+    if (VERSION_SEGMENT.test(segment) || DATE_VERSION.test(segment)) return { version: segment, index };
+  }
+  return null;
+}
+
+/** Newer first: v2 > v1.1 > v1 > v1beta; dates compare as strings */
+function compareVersions(a, b) {
+  const ma = VERSION_SEGMENT.exec(a);
+  const mb = VERSION_SEGMENT.exec(b);
+  if (!ma || !mb) return b.localeCompare(a);
+  return (
+    Number(mb[1]) - Number(ma[1]) ||
+    Number(mb[2] || 0) - Number(ma[2] || 0) ||
+    (ma[3] ? 1 : 0) - (mb[3] ? 1 : 0)
+  );
+}
+
+/** Path with the version segment and parameter names removed, for cross-version matching */
+function versionlessKey(method, path, version) {
+  const segments = path.split("/").filter(Boolean);
+  segments.splice(version.index, 1);
+  return `${method} /${segments.map((s) => (/^\{.*\}$/.test(s) ? "{}" : s)).join("/")}`;
+}
+
+/**
+ * Set api_version and superseded_by on every endpoint and group them by version.
+ * Returns { versions, latest_version, unversioned_count, deprecated, superseded, notes }.
+ */
+export function summarizeVersions(endpoints) {
+  const byKey = new Map();
+  const versions = new Set();
+
+  for (const ep of endpoints) {
+    const version = pathVersion(ep.path);
+    ep.api_version = version ? version.version : null;
+    ep.superseded_by = null;
+    if (!version) continue;
+
+    versions.add(version.version);
+
+    const key = versionlessKey(ep.method, ep.path, version);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(ep);
+  }
+
+  const order = Array.from(versions).sort(compareVersions);
+  const latest = order[0] || null;
+
+  // An operation is superseded when the same method + path exists in a newer version
+  for (const same of byKey.values()) {
+    if (same.length < 2) continue;
+    const newest = same.slice().sort((a, b) => compareVersions(a.api_version, b.api_version))[0];
+    for (const ep of same) {
+      if (ep !== newest && ep.api_version !== newest.api_version) ep.superseded_by = `${newest.method} ${newest.path}`;
+    }
+  }
+
+  return versionRollup(endpoints, order, latest);
+}
+
+/**
+ * A summarizeVersions() result restricted to some of its endpoints; api_version and
+ * superseded_by stay as computed over the whole API.
+ */
+export function scopeVersions(versioning, endpoints) {
+  const order = versioning.versions.map((v) => v.version).filter((version) => endpoints.some((ep) => ep.api_version === version));
+  return versionRollup(endpoints, order, versioning.latest_version);
+}
+
+function versionRollup(endpoints, order, latest) {
+  const inVersion = (version) => endpoints.filter((ep) => ep.api_version === version);
+  const deprecated = endpoints
+    .filter((ep) => ep.deprecation)
+    .map((ep) => ({
+      endpoint: `${ep.method} ${ep.path}`,
+      api_version: ep.api_version,
+      sunset: ep.deprecation.sunset,
+      sunset_passed: ep.deprecation.sunset_passed,
+      replacement: ep.deprecation.replacement || ep.superseded_by,
+      signals: ep.deprecation.signals,
+      pointer: ep.deprecation.pointer
+    }));
+
+  const superseded = endpoints
+    .filter((ep) => ep.superseded_by)
+    .map((ep) => ({ endpoint: `${ep.method} ${ep.path}`, api_version: ep.api_version, superseded_by: ep.superseded_by }));
+
+  const notes = [];
+  if (order.length > 1) {
+    notes.push(`Paths span ${order.length} API versions (${order.join(", ")}); ${latest} is treated as current.`);
+  }
+  const passed = deprecated.filter((d) => d.sunset_passed);
+  if (passed.length) notes.push(`${passed.length} operation(s) are past their sunset date and may already be removed.`);
+
+  return {
+    versions: order.map((version) => ({
+      version,
+      latest: version === latest,
+      endpoint_count: inVersion(version).length,
+      deprecated_count: inVersion(version).filter((ep) => ep.deprecation).length
+    })),
+    latest_version: latest,
+    unversioned_count: endpoints.filter((ep) => !ep.api_version).length,
+    deprecated,
+    superseded,
+    notes
+  };
+}
+
+/**
+ * How current an operation is, for ranking: { status, penalty, detail }.
+ * status: current | superseded (a newer version exists) | deprecated | sunset (date passed).
+ */
+export function operationStatus(endpoint) {
+  const dep = endpoint?.deprecation;
+  if (dep) {
+    const status = dep.sunset_passed ? "sunset" : "deprecated";
+    const replacement = dep.replacement || endpoint.superseded_by;
+    const detail = [
+      dep.sunset ? `deprecated, sunset ${dep.sunset}${dep.sunset_passed ? " (passed)" : ""}` : "deprecated",
+      replacement ? `replaced by ${replacement}` : null
+    ];
+    return { status, penalty: PENALTIES[status], detail: detail.filter(Boolean).join("; ") };
+  }
+  if (endpoint?.superseded_by) {
+    return { status: "superseded", penalty: PENALTIES.superseded, detail: `superseded by ${endpoint.superseded_by}` };
+  }
+  return { status: "current", penalty: 0, detail: null };
+}
@@ -0,0 +1,373 @@
+/**
+ * Spec-grounded follow-up questions for coverage matrix rows.
+ *
+ * Each question is built from what the matched (or near-miss) endpoints
+ * actually declare, so the vendor or customer can answer it directly:
+ * - required inputs     required body fields, query/header parameters and parent
+ *                       path parameters the request doesn't mention
+ * - list support        missing incremental-sync filter, requested filter/sort
+ *                       criteria, undeclared pagination
+ * - security            scopes no flow defines, undefined schemes, endpoints
+ *                       without a security requirement
+ * - data model          requested fields not found in the matched schemas
+ * - bulk / lifecycle    no batch/async endpoint, resource operations missing
+ * - deprecation       coverage resting on deprecated operations
+ * - near misses         the closest endpoint when coverage is missing or partial
+ *
+ * Every question is { question, basis, evidence: { spec, endpoint, pointer, ... } }
+ * and points at the part of the spec that triggered it.
+ */
+
+import { splitIdentifier, stem } from "./capability_matcher.js";
+import { toPointer } from "./schema_resolver.js";
+
+const MAX_QUESTIONS = 6;
+const MAX_REQUIRED_INPUTS = 3;
+const WRITE_METHODS = ["POST", "PUT", "PATCH"];
+
+// Credentials and content negotiation are covered by the auth section, not asked per endpoint
+const TRANSPORT_HEADER = /^(authorization|content-type|accept|accept-encoding|user-agent|x-api-key|api-key|apikey|cookie)$/i;
+const SINCE_FILTER = /(updated|modified|changed|since|lastmod|changedafter|updatedafter|from)/i;
+const SYNC_STEMS = new Set(["sync", "synchronize", "incremental", "delta", "change", "changed", "updated", "modified", "since", "poll", "latest"].map(stem));
+const ID_WORD = /^(id|ids|key|uuid|code)$/;
+
+function quote(name) {
+  return `\`${name}\``;
+}
+
+function label(ev) {
+  return `${ev.method} ${ev.path}`;
+}
+
+/** The surface-map endpoint behind a piece of evidence (operations only) */
+function mapped(ev) {
+  return ev.kind === "operation" ? ev.endpoint?.mapped || null : null;
+}
+
+function evidenceOf(ev, extra = {}) {
+  return { spec: ev.spec, endpoint: label(ev), pointer: mapped(ev)?.pointer || ev.event?.pointer || null, ...extra };
+}
+
+/** "list_id" / "listId" -> "list"; null when the name isn't a reference */
+function referencedEntity(name) {
+  const words = splitIdentifier(name);
+  if (words.length < 2 || !ID_WORD.test(words[words.length - 1])) return null;
+  return words.slice(0, -1).join(" ");
+}
+
+/** Required inputs of the best-matching write (or nested) endpoint the capability doesn't mention */
+function requiredInputQuestions(ev, capabilityStems, fieldsFor) {
+  const ep = mapped(ev);
+  if (!ep) return [];
+
+  const mentioned = (name) => splitIdentifier(name).some((w) => capabilityStems.has(stem(w)));
+  const segments = ev.path.split("/").filter(Boolean);
+  const lastSegment = segments[segments.length - 1];
+  const inputs = [];
+
+  // Parent path parameters: /accounts/{accountId}/contacts -> which account?
+  for (const p of ep.parameters.filter((x) => x.in === "path")) {
+    if (`{${p.name}}` === lastSegment) continue;
+    inputs.push({ name: p.name, where: "path", pointer: p.pointer, param: p });
+  }
+
+  if (WRITE_METHODS.includes(ev.method)) {
+    for (const p of ep.parameters.filter((x) => x.required && (x.in === "query" || x.in === "header"))) {
+      if (p.in === "header" && TRANSPORT_HEADER.test(p.name)) continue;
+      inputs.push({ name: p.name, where: p.in, pointer: p.pointer, param: p });
+    }
+
+    // Swagger 2.0 bodies are parameters, so point at the operation there
+    const body = ev.endpoint.entry?.op?.requestBody ? `${ep.pointer}/requestBody` : ep.pointer;
+    for (const f of fieldsFor(ev.endpoint).request) {
+      if (!f.required || f.path !== f.name || /^id$/i.test(f.name)) continue;
+      inputs.push({ name: f.name, where: "body", pointer: body, type: f.type });
+    }
+  }
+
+  return inputs
+    .filter((input) => !mentioned(input.name))
+    .slice(0, MAX_REQUIRED_INPUTS)
+    .map((input) => {
+      const what = input.where === "body" ? quote(input.name) : `${input.where} parameter ${quote(input.name)}`;
+      const entity = referencedEntity(input.name);
+      const options = Array.isArray(input.param?.enum) && input.param.enum.length
+        ? ` (one of: ${input.param.enum.slice(0, 6).join(", ")})`
+        : "";
+
+      let ask;
+      if (input.where === "path") {
+        ask = `which ${entity || input.name} do these records belong to?`;
+      } else if (input.where === "header") {
+        ask = "which value do we send, and does it differ per environment?";
+      } else if (entity) {
+        ask = ev.method === "POST" ? `which ${entity} should records land in?` : `which ${entity} should it point to?`;
+      } else {
+        ask = options ? "which value applies to our records?" : "where does its value come from?";
+      }
+
+      return {
+        question: `${quote(label(ev))} requires ${what}${options} — ${ask}`,
+        basis: "required_input",
+        evidence: evidenceOf(ev, { pointer: input.pointer, [input.where === "body" ? "field" : "parameter"]: input.name })
+      };
+    });
+}
+
+/** Incremental sync, requested criteria and pagination of the matched collection */
+function listQuestions(top, listSupport, capabilityStems) {
+  if (!listSupport) return [];
+  const ev = top.find((e) => `${e.method} ${e.path}` === listSupport.endpoint);
+  if (!ev) return [];
+
+  const questions = [];
+  const wantsSync = [...capabilityStems].some((s) => SYNC_STEMS.has(s));
+  if (wantsSync && !listSupport.filters.some((f) => SINCE_FILTER.test(f))) {
+    questions.push({
+      question: `${quote(label(ev))} has no ${quote("updated_since")}-style filter — how do we do incremental sync (change feed, webhooks, full re-read)?`,
+      basis: "incremental_sync",
+      evidence: evidenceOf(ev, { filters: listSupport.filters })
+    });
+  }
+
+  for (const t of listSupport.requested_criteria.filter((c) => !c.parameter)) {
+    questions.push({
+      question: `${quote(label(ev))} has no ${t.sort ? "sort" : "filter"} parameter for "${t.term}" — can results be ${t.sort ? "sorted" : "filtered"} server-side, or do we ${t.sort ? "sort" : "filter"} client-side?`,
+      basis: t.sort ? "missing_sort" : "missing_filter",
+      evidence: evidenceOf(ev, { term: t.term })
+    });
+  }
+
+  // Downloads, streams and job status reads aren't paged lists
+  const transfer = ev.bulk_async?.kinds.some((k) => ["file_download", "stream", "job_status"].includes(k));
+  if (!listSupport.paginated && !transfer) {
+    questions.push({
+      question: `${quote(label(ev))} declares no pagination — is the response capped, and how do we read result sets beyond the cap?`,
+      basis: "pagination",
+      evidence: evidenceOf(ev)
+    });
+  }
+  return questions;
+}
+
+/** Scopes no flow defines, undefined schemes and undeclared security on the best endpoint */
+function securityQuestions(ev, scopeIndexFor) {
+  const ep = mapped(ev);
+  if (!ep) return [];
+  const securityPointer = ev.endpoint.entry?.op?.security ? `${ep.pointer}/security` : "#/security";
+
+  const questions = scopeIndexFor(ev.spec)
+    .filter((s) => !s.defined && s.endpoints.includes(label(ev)))
+    .map((entry) => ({
+      question: `Scope ${quote(entry.scope)} (required by ${quote(label(ev))}) isn't defined on any flow of ${quote(entry.scheme)} — which grant issues it?`,
+      basis: "undefined_scope",
+      evidence: evidenceOf(ev, { pointer: securityPointer, scope: entry.scope })
+    }));
+
+  for (const name of ep.security.unknown_schemes) {
+    questions.push({
+      question: `${quote(label(ev))} references security scheme ${quote(name)}, which the spec doesn't define — which credentials does it take?`,
+      basis: "undefined_scheme",
+      evidence: evidenceOf(ev, { pointer: securityPointer, scheme: name })
+    });
+  }
+
+  if (ep.auth_required === null) {
+    questions.push({
+      question: `${quote(label(ev))} declares no security requirement — is it public, or which credentials apply?`,
+      basis: "undeclared_security",
+      evidence: evidenceOf(ev)
+    });
+  }
+  return questions;
+}
+
+/** Requested attributes missing from every matched schema */
+function fieldQuestions(matched, fieldCoverage) {
+  if (!fieldCoverage?.missing.length || !matched.length) return [];
+  const names = fieldCoverage.missing.map(quote).join(", ");
+  const endpoints = matched.map((ev) => quote(label(ev))).join(", ");
+  const plural = fieldCoverage.missing.length > 1;
+
+  return [
+    {
+      question: fieldCoverage.verifiable
+        ? `${names} ${plural ? "are" : "is"} not in the schemas of ${endpoints} — where ${plural ? "do they" : "does it"} live (custom fields, metadata, a separate endpoint)?`
+        : `${endpoints} declare${matched.length > 1 ? "" : "s"} no request/response schema — do ${names} come back, and under which field names?`,
+      basis: "missing_fields",
+      evidence: evidenceOf(matched[0], { fields: fieldCoverage.missing })
+    }
+  ];
+}
+
+/** Bulk capability without batch/async evidence: the per-record fallback and its limits */
+function bulkQuestions(matched, specIds) {
+  const fallback = matched.find((ev) => ev.kind === "operation" && (WRITE_METHODS.includes(ev.method) || ev.collection));
+  if (fallback) {
+    return [
+      {
+        question: `No batch, async job or file endpoint matched, so volume would go through ${quote(label(fallback))} one ${fallback.method === "GET" ? "page" : "record"} at a time — what rate limit applies, and is there a bulk API outside this spec?`,
+        basis: "bulk_fallback",
+        evidence: evidenceOf(fallback)
+      }
+    ];
+  }
+  return [
+    {
+      question: "No batch, async job or file endpoint in the spec matched — does the vendor offer a bulk or export API, and what volume limits apply?",
+      basis: "bulk_missing",
+      evidence: { spec: specIds.join(", "), endpoint: null, pointer: "#/paths" }
+    }
+  ];
+}
+
+/** Lifecycle capability on a resource without the full CRUD set */
+function lifecycleQuestions(resource, missingLabels) {
+  if (!resource?.path || !missingLabels.length) return [];
+  return [
+    {
+      question: `${quote(resource.path)} has no ${missingLabels.join(", ")} operation — is that done in the vendor UI, another API, or not at all?`,
+      basis: "lifecycle",
+      evidence: { spec: resource.spec, endpoint: null, pointer: toPointer(["paths", resource.path]), resource: resource.name }
+    }
+  ];
+}
+
+/** Coverage that rests on deprecated operations: what replaces them, and when */
+function deprecationQuestions(row, matched) {
+  if (!row.deprecation_risk) return [];
+  const ev = matched.find((e) => e.status?.status === "deprecated" || e.status?.status === "sunset");
+  if (!ev) return [];
+
+  const ep = mapped(ev);
+  const replacement = ep?.deprecation?.replacement || ep?.superseded_by;
+  const when = ep?.deprecation?.sunset
+    ? ` (sunset ${ep.deprecation.sunset}${ep.deprecation.sunset_passed ? ", already passed" : ""})`
+    : "";
+
+  return [
+    {
+      question: replacement
+        ? `${quote(label(ev))} is deprecated${when} in favour of ${quote(replacement)} — does the replacement cover "${row.capability}" with the same inputs and fields?`
+        : `${quote(label(ev))} is deprecated${when} — what replaces it for "${row.capability}", and when will it stop responding?`,
+      basis: "deprecated_operation",
+      evidence: evidenceOf(ev, { pointer: ep?.deprecation?.pointer || mapped(ev)?.pointer || null, replacement: replacement || null })
+    }
+  ];
+}
+
+/** Event capability against specs that declare no webhooks or callbacks */
+function eventQuestions(row, context) {
+  if (!row.event || context.hasEvents || row.coverage === "full") return [];
+  return [
+    {
+      question: `${context.specIds.join(", ")} declare${context.specIds.length > 1 ? "" : "s"} no webhook or callback events — how would "${row.capability}" be delivered (polling, a separate events API, a UI-configured webhook)?`,
+      basis: "no_webhooks",
+      evidence: { spec: context.specIds.join(", "), endpoint: null, pointer: "#/webhooks" }
+    }
+  ];
+}
+
+/** Missing/partial rows: what the closest endpoint does and doesn't match */
+function nearMissQuestions(row, matched, context) {
+  const { capability, coverage } = row;
+  const best = matched[0];
+
+  if (!best) {
+    return [
+      {
+        question: `No operation in ${context.specIds.join(", ")} mentions "${capability}" or a synonym — is it offered by a separate API, a newer version, or only in the vendor UI?`,
+        basis: "no_match",
+        evidence: { spec: context.specIds.join(", "), endpoint: null, pointer: "#/paths" }
+      }
+    ];
+  }
+
+  const hitTokens = new Set(best.hits.map((h) => h.token));
+  const unmatched = row.tokens.filter((t) => !hitTokens.has(t.word)).map((t) => t.word);
+  const purpose = best.purpose ? ` ("${best.purpose}")` : "";
+  const missingTerms = unmatched.length ? `; nothing there matches ${unmatched.map((w) => `"${w}"`).join(", ")}` : "";
+
+  const questions = [];
+  // A partial row whose terms all match was downgraded (deprecation, fields); other generators ask about that
+  if (coverage === "missing" || unmatched.length) {
+    questions.push({
+      question: coverage === "missing"
+        ? `The closest match is ${quote(label(best))}${purpose}, confidence ${best.confidence.toFixed(2)}${missingTerms} — does it cover "${capability}", or is there another endpoint?`
+        : `${quote(label(best))}${purpose} only partially matches "${capability}"${missingTerms} — is it the right endpoint, and what does it not support?`,
+      basis: "near_miss",
+      evidence: evidenceOf(best, { confidence: Number(best.confidence.toFixed(2)) })
+    });
+  }
+
+  const ep = mapped(best);
+  if (ep && WRITE_METHODS.includes(best.method) && !ep.request_schema?.schema) {
+    questions.push({
+      question: `${quote(label(best))} documents no request body schema — what payload does it accept?`,
+      basis: "undocumented_schema",
+      evidence: evidenceOf(best)
+    });
+  } else if (ep && !ep.response_schemas.some((r) => r.schema)) {
+    questions.push({
+      question: `${quote(label(best))} documents no 2xx response schema — what does it return?`,
+      basis: "undocumented_schema",
+      evidence: evidenceOf(best)
+    });
+  }
+  return questions;
+}
+
+/**
+ * Questions for one matrix row.
+ * row: { capability, coverage, tokens, top, field_coverage, list_support,
+ *        bulk, bulk_matched, deprecation_risk, event, resource, lifecycle_missing }
+ * context: { fieldsFor(endpoint), scopeIndexFor(specId), specIds, hasEvents }
+ */
+export function groundedQuestions(row, context) {
+  const matched = row.top.filter((ev) => ev.confidence > 0);
+  const capabilityStems = new Set(row.tokens.map((t) => t.stem));
+  const questions = [...deprecationQuestions(row, matched)];
+
+  const best = matched[0];
+  const needsInputs = best && (WRITE_METHODS.includes(best.method) || best.path.includes("{"));
+  if (needsInputs && row.coverage !== "missing") questions.push(...requiredInputQuestions(best, capabilityStems, context.fieldsFor));
+
+  questions.push(...fieldQuestions(matched, row.field_coverage));
+  questions.push(...listQuestions(matched, row.list_support, capabilityStems));
+  if (row.bulk && !row.bulk_matched) questions.push(...bulkQuestions(matched, context.specIds));
+  questions.push(...lifecycleQuestions(row.resource, row.lifecycle_missing));
+  questions.push(...eventQuestions(row, context));
+  if (row.coverage !== "full") questions.push(...nearMissQuestions(row, matched, context));
+  if (best) questions.push(...securityQuestions(best, context.scopeIndexFor));
+
+  const seen = new Set();
+  return questions
+    .filter((q) => !seen.has(q.question) && seen.add(q.question))
+    .slice(0, MAX_QUESTIONS);
+}
+
+/** Without a spec the questions can only be grounded in the request and the discovery attempt */
+export function noSpecQuestions(capability, { discovery, event }) {
+  const questions = [
+    discovery
+      ? {
+          question: `No OpenAPI/Swagger spec link was found on ${discovery.page_url} — where is the spec covering "${capability}" published?`,
+          basis: "spec_discovery",
+          evidence: { spec: null, endpoint: null, pointer: null, page_url: discovery.page_url, steps: discovery.steps.length }
+        }
+      : {
+          question: `Can you share the OpenAPI/Swagger spec (URL or file) that covers "${capability}"?`,
+          basis: "no_spec",
+          evidence: { spec: null, endpoint: null, pointer: null, source: "user_request" }
+        }
+  ];
+
+  if (event) {
+    questions.push({
+      question: `Does the vendor send webhooks for "${capability}", and with what delivery guarantees (retries, ordering, signatures)?`,
+      basis: "no_spec",
+      evidence: { spec: null, endpoint: null, pointer: null, source: "user_request" }
+    });
+  }
+  return questions;
+}
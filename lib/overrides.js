@@ -0,0 +1,201 @@
+/**
+ * Reviewer overrides for the coverage matrix.
+ *
+ * Input (`overrides`):
+ * {
+ *   exclude:  ["/internal", "/admin", "DELETE /contacts/{id}"],
+ *   pins:     [{ capability: "cap-1" | "Create customer", endpoint: "POST /v2/profiles", spec?: "spec-2", note? }],
+ *   coverage: [{ capability, coverage: "full" | "partial" | "missing", note, reviewer? }]
+ * }
+ *
+ * - exclude   path prefixes (segment-aware: "/admin" drops /admin and /admin/...,
+ *             not /administrators) or exact "METHOD /path" operations; excluded
+ *             endpoints never become evidence
+ * - pins      human-asserted evidence: the endpoint is placed first with
+ *             source "override" and the row is assessed from it
+ * - coverage  forces the row's label; the heuristic label is kept next to it
+ *
+ * Capabilities are referenced by id or by text (case-insensitive). Every rule
+ * is reported back with a status so the audit trail shows what was applied.
+ */
+
+import { scopeSurface } from "./surface_map.js";
+
+const COVERAGE_LABELS = ["full", "partial", "missing"];
+const OPERATION_REF = /^([A-Za-z]+)\s+(\S+)$/;
+const MAX_RULES = 100;
+
+/** "post  /v2/profiles/" -> { method: "POST", path: "/v2/profiles" } */
+function parseOperation(ref) {
+  const m = OPERATION_REF.exec(String(ref || "").trim());
+  if (!m) return null;
+  const path = m[2].length > 1 ? m[2].replace(/\/+$/, "") : m[2];
+  return { method: m[1].toUpperCase(), path };
+}
+
+function note(raw) {
+  return typeof raw === "string" && raw.trim() ? raw.trim().slice(0, 500) : null;
+}
+
+/**
+ * Validate the `overrides` input.
+ * Returns { overrides: { exclude, pins, coverage } } or { error } (message for a 400).
+ */
+export function normalizeOverrides(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "overrides must be an object with exclude, pins and/or coverage." };
+  }
+
+  const lists = {};
+  for (const key of ["exclude", "pins", "coverage"]) {
+    const value = input[key] ?? [];
+    if (!Array.isArray(value)) return { error: `overrides.${key} must be an array.` };
+    if (value.length > MAX_RULES) return { error: `overrides.${key} accepts at most ${MAX_RULES} entries.` };
+    lists[key] = value;
+  }
+
+  const exclude = [];
+  for (const [i, rule] of lists.exclude.entries()) {
+    const text = typeof rule === "string" ? rule.trim() : "";
+    if (text.startsWith("/")) {
+      exclude.push({ rule: text, prefix: text.length > 1 ? text.replace(/\/+$/, "") : text });
+      continue;
+    }
+    const operation = parseOperation(text);
+    if (!operation) return { error: `overrides.exclude[${i}] must be a path prefix ("/internal") or "METHOD /path".` };
+    exclude.push({ rule: text, operation });
+  }
+
+  const pins = [];
+  for (const [i, pin] of lists.pins.entries()) {
+    if (!pin || typeof pin !== "object" || typeof pin.capability !== "string" || !pin.capability.trim()) {
+      return { error: `overrides.pins[${i}].capability is required (capability id or text).` };
+    }
+    const operation = parseOperation(pin.endpoint);
+    if (!operation) return { error: `overrides.pins[${i}].endpoint must be "METHOD /path" (e.g. "POST /v2/profiles").` };
+    pins.push({
+      capability: pin.capability.trim(),
+      endpoint: `${operation.method} ${operation.path}`,
+      operation,
+      spec: typeof pin.spec === "string" && pin.spec.trim() ? pin.spec.trim() : null,
+      note: note(pin.note)
+    });
+  }
+
+  const coverage = [];
+  for (const [i, entry] of lists.coverage.entries()) {
+    if (!entry || typeof entry !== "object" || typeof entry.capability !== "string" || !entry.capability.trim()) {
+      return { error: `overrides.coverage[${i}].capability is required (capability id or text).` };
+    }
+    const label = String(entry.coverage || "").toLowerCase();
+    if (!COVERAGE_LABELS.includes(label)) {
+      return { error: `overrides.coverage[${i}].coverage must be one of: ${COVERAGE_LABELS.join(", ")}.` };
+    }
+    if (!note(entry.note)) return { error: `overrides.coverage[${i}].note is required: say why the label is forced.` };
+    coverage.push({
+      capability: entry.capability.trim(),
+      coverage: label,
+      note: note(entry.note),
+      reviewer: note(entry.reviewer)
+    });
+  }
+
+  return { overrides: { exclude, pins, coverage } };
+}
+
+/** Does an override's capability reference (id or text) name this capability? */
+export function refersTo(ref, capability) {
+  return ref === capability.id || ref.toLowerCase() === capability.text.toLowerCase();
+}
+
+function excludedBy(rule, ep) {
+  if (rule.operation) return rule.operation.method === ep.method && rule.operation.path === ep.path;
+  return rule.prefix === "/" || ep.path === rule.prefix || ep.path.startsWith(`${rule.prefix}/`);
+}
+
+/**
+ * Drop excluded endpoints from a loaded spec. The surface map is scoped to the
+ * endpoints left (lib/surface_map.js scopeSurface), so resources, the scope index
+ * and the constraint checks no longer see excluded ones, and events subscribed
+ * only through excluded endpoints are dropped. Returns the filtered spec;
+ * `excluded` records which rule hit what.
+ */
+export function applyExclusions(spec, rules, excluded) {
+  if (!rules.length) return spec;
+
+  const endpoints = spec.endpoints.filter((ep) => {
+    const rule = rules.find((r) => excludedBy(r, ep));
+    if (rule) excluded.get(rule.rule).push(`${spec.id} ${ep.method} ${ep.path}`);
+    return !rule;
+  });
+  const surface = scopeSurface(
+    spec.surface,
+    spec.openapi,
+    spec.surface.endpoints.filter((ep) => !rules.some((r) => excludedBy(r, ep)))
+  );
+  const events = new Map(surface.webhooks.events.map((ev) => [ev.pointer, ev]));
+
+  return {
+    ...spec,
+    surface,
+    endpoints,
+    events: spec.events
+      .filter((e) => events.has(e.event.pointer))
+      .map((e) => ({ ...e, event: { ...e.event, subscription: events.get(e.event.pointer).subscription } })),
+    resources: surface.resources.map((resource) => ({ ...resource, spec: spec.id }))
+  };
+}
+
+/**
+ * Pool endpoints/events pinned to a capability. Pins naming another spec than
+ * the pool's (per-spec rows) are skipped; `status` records whether a pin matched.
+ */
+export function pinnedEndpoints(capability, pool, pins, status) {
+  const pinned = [];
+  for (const pin of pins) {
+    if (!refersTo(pin.capability, capability)) continue;
+
+    const ep = [...pool.endpoints, ...pool.events].find(
+      (e) => e.method === pin.operation.method && e.path === pin.operation.path && (!pin.spec || e.spec === pin.spec)
+    );
+    if (ep && !pinned.some((p) => p.endpoint === ep)) pinned.push({ endpoint: ep, note: pin.note });
+    if (ep && status) status.set(pin, "applied");
+  }
+  return pinned;
+}
+
+/**
+ * Force coverage labels on matrix rows. The heuristic label stays on the row
+ * (override.coverage.heuristic) so both remain in the audit trail.
+ */
+export function applyCoverageOverrides(matrix, entries, capabilities) {
+  return entries.map((entry) => {
+    const index = capabilities.findIndex((c) => refersTo(entry.capability, c));
+    if (index === -1) return { ...entry, status: "unmatched_capability" };
+
+    const row = matrix[index];
+    row.override = {
+      ...(row.override || {}),
+      coverage: { heuristic: row.coverage, forced: entry.coverage, note: entry.note, reviewer: entry.reviewer }
+    };
+    row.coverage = entry.coverage;
+    return { ...entry, id: row.id, status: "applied", heuristic_coverage: row.override.coverage.heuristic };
+  });
+}
+
+/** Audit entry for each exclude rule and pin */
+export function overrideAudit(overrides, { excluded, pinStatus, capabilities, coverage }) {
+  return {
+    exclude: overrides.exclude.map((r) => {
+      const endpoints = excluded?.get(r.rule) || [];
+      return { rule: r.rule, status: excluded ? (endpoints.length ? "applied" : "no_match") : "no_spec", endpoints };
+    }),
+    pins: overrides.pins.map((pin) => {
+      const capability = capabilities.find((c) => refersTo(pin.capability, c));
+      let status = pinStatus?.get(pin) || (pinStatus ? "unmatched_endpoint" : "no_spec");
+      if (!capability) status = "unmatched_capability";
+      return { capability: pin.capability, id: capability?.id || null, endpoint: pin.endpoint, spec: pin.spec, note: pin.note, status };
+    }),
+    coverage
+  };
+}
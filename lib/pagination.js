@@ -0,0 +1,172 @@
+/**
+ * List behaviour of GET collection endpoints: pagination style, page-size
+ * limits, filter and sort parameters.
+ *
+ * Pagination styles (several can apply):
+ * - cursor       cursor / after / before / starting_after / marker query params
+ * - offset_limit offset / skip / start (+ limit)
+ * - page_size    page / page_number (+ per_page / page_size)
+ * - next_token   page_token / next_token query params
+ * - limit_only   only a page-size param (limit / per_page), no way to ask for the next page
+ * - link_header  2xx response declares a `Link` header
+ * - body_next    2xx response body carries next / next_cursor / nextPageToken / links.next
+ *
+ * Names are compared after lowercasing and dropping "_", "-", "$" and "[]",
+ * so "page[size]", "pageSize" and "$top" land on the same rules.
+ */
+
+import { schemaFieldPaths } from "./schema_resolver.js";
+import { mergedParameters, pickMediaType, responsesFor } from "./spec_version.js";
+import { isDiagnosticPath } from "./resources.js";
+
+const CURSOR_PARAMS = ["cursor", "after", "before", "startingafter", "endingbefore", "marker"];
+const TOKEN_PARAMS = ["pagetoken", "nexttoken", "continuationtoken", "continuation", "token", "nextpagetoken", "skiptoken"];
+const OFFSET_PARAMS = ["offset", "skip", "start", "startindex"];
+const PAGE_PARAMS = ["page", "pagenumber", "pagenum", "pageindex", "pageno"];
+const SIZE_PARAMS = ["limit", "perpage", "pagesize", "size", "pagelimit", "count", "top", "maxresults", "maxitems", "first", "last"];
+const SORT_PARAMS = ["sort", "sortby", "orderby", "order", "sortorder", "sortdirection", "direction", "sortfield", "ordering"];
+const SEARCH_PARAMS = ["q", "query", "search", "term", "keyword", "keywords", "text"];
+const NON_FILTER_PARAMS = ["fields", "expand", "include", "embed", "select", "apikey", "accesstoken", "format", "callback", "locale", "lang", "pretty"];
+
+const BODY_NEXT_FIELDS = ["next", "nextcursor", "nextpagetoken", "nexttoken", "nextpage", "nextlink", "cursor", "continuationtoken", "hasmore", "hasnextpage", "nextpageurl"];
+
+function key(name) {
+  return String(name || "").toLowerCase().replace(/page\[(\w+)\]/, "page$1").replace(/[^a-z0-9]/g, "");
+}
+
+function paramSchema(resolver, { param, base }) {
+  if (param.schema) return resolver.deref(param.schema, base).value || {};
+  return param; // Swagger 2.0 keeps type/maximum/enum on the parameter
+}
+
+function describeParam(resolver, entry) {
+  const schema = paramSchema(resolver, entry);
+  return {
+    name: entry.param.name,
+    type: schema?.type || null,
+    required: entry.param.required === true,
+    enum: Array.isArray(schema?.enum) ? schema.enum.slice(0, 20) : null,
+    default: schema?.default ?? null,
+    minimum: typeof schema?.minimum === "number" ? schema.minimum : null,
+    maximum: typeof schema?.maximum === "number" ? schema.maximum : null,
+    description: typeof entry.param.description === "string" ? entry.param.description.split("\n")[0] : null
+  };
+}
+
+/** A documented max page size in prose ("max 100", "maximum of 250", "up to 50") */
+function maxFromDescription(description) {
+  const m = String(description || "").match(/\b(?:max(?:imum)?(?:\s+(?:of|is|value))?|up to|at most|<=)\s*:?\s*(\d{1,6})\b/i);
+  return m ? Number(m[1]) : null;
+}
+
+/** 2xx responses declaring a Link header */
+function hasLinkHeader(resolver, responses) {
+  return Object.entries(responses || {}).some(([status, r]) => {
+    if (!/^2/.test(status)) return false;
+    const headers = resolver.deref(r).value?.headers || {};
+    return Object.keys(headers).some((h) => h.toLowerCase() === "link");
+  });
+}
+
+/**
+ * GET endpoints that return a list: the 2xx response is an array / wraps one
+ * (data[], items[], results[]), or no 2xx schema is declared and the path does
+ * not end in a {param}. Diagnostic paths (/health, /status) are never lists.
+ */
+function isCollection(endpoint) {
+  if (endpoint.method !== "GET" || isDiagnosticPath(endpoint.path)) return false;
+
+  const schemas = endpoint.response_schemas.filter((r) => r.schema);
+  if (schemas.length) {
+    return schemas.some(
+      (r) => /^array</.test(r.schema.type || "") || (r.schema.properties || []).some((p) => /^array</.test(p.type))
+    );
+  }
+  const lastSegment = endpoint.path.split("/").filter(Boolean).pop() || "";
+  return !/^\{.+\}$/.test(lastSegment);
+}
+
+/**
+ * List behaviour of one endpoint, or null when it is not a GET collection.
+ * entry: { pathItem, op } from listOperations(); endpoint: the surface map endpoint.
+ */
+export function analyzeCollection(resolver, openapi, entry, endpoint) {
+  if (!entry || !isCollection(endpoint)) return null;
+
+  const query = mergedParameters(resolver, entry.pathItem, entry.op).filter((p) => p.param.in === "query");
+  const styles = new Set();
+  const pagination_parameters = [];
+  const sort = [];
+  const filters = [];
+  let search_parameter = null;
+  let sizeParam = null;
+
+  for (const p of query) {
+    const k = key(p.param.name);
+    const info = describeParam(resolver, p);
+
+    if (CURSOR_PARAMS.includes(k)) {
+      styles.add("cursor");
+      pagination_parameters.push({ ...info, role: "cursor" });
+    } else if (TOKEN_PARAMS.includes(k)) {
+      styles.add("next_token");
+      pagination_parameters.push({ ...info, role: "token" });
+    } else if (OFFSET_PARAMS.includes(k)) {
+      styles.add("offset_limit");
+      pagination_parameters.push({ ...info, role: "offset" });
+    } else if (PAGE_PARAMS.includes(k)) {
+      styles.add("page_size");
+      pagination_parameters.push({ ...info, role: "page" });
+    } else if (SIZE_PARAMS.includes(k)) {
+      sizeParam = sizeParam || info;
+      pagination_parameters.push({ ...info, role: "size" });
+    } else if (SORT_PARAMS.includes(k)) {
+      sort.push(info);
+    } else if (SEARCH_PARAMS.includes(k)) {
+      search_parameter = search_parameter || info;
+      filters.push({ ...info, kind: "search" });
+    } else if (!NON_FILTER_PARAMS.includes(k)) {
+      filters.push({ ...info, kind: "filter" });
+    }
+  }
+
+  // A size param with no cursor/offset/page param still caps results
+  if (sizeParam && !styles.size) styles.add("limit_only");
+
+  if (hasLinkHeader(resolver, entry.op.responses)) styles.add("link_header");
+
+  const bodyNext = [];
+  for (const [status, response] of Object.entries(responsesFor(resolver, openapi, entry.op) || {})) {
+    if (!/^2/.test(status)) continue;
+    const { value, base } = resolver.deref(response);
+    const content = value?.content || {};
+    const media = pickMediaType(content);
+    const schema = media ? content[media]?.schema : null;
+    for (const field of schema ? schemaFieldPaths(resolver, schema, base, { maxDepth: 2, maxFields: 80 }) : []) {
+      if (BODY_NEXT_FIELDS.includes(key(field.name)) && !field.path.includes("[]")) bodyNext.push(field.path);
+    }
+  }
+  if (bodyNext.length) styles.add("body_next");
+
+  const page_size = sizeParam
+    ? {
+        parameter: sizeParam.name,
+        default: sizeParam.default,
+        minimum: sizeParam.minimum,
+        maximum: sizeParam.maximum ?? maxFromDescription(sizeParam.description)
+      }
+    : null;
+
+  return {
+    paginated: styles.size > 0,
+    pagination: {
+      styles: Array.from(styles),
+      parameters: pagination_parameters.map(({ name, role, type }) => ({ name, role, type })),
+      page_size,
+      next_fields: bodyNext
+    },
+    filters: filters.map(({ name, kind, type, enum: values }) => ({ name, kind, type, enum: values })),
+    sort: sort.map(({ name, enum: values, default: def }) => ({ name, enum: values, default: def })),
+    search_parameter: search_parameter ? search_parameter.name : null
+  };
+}
@@ -0,0 +1,605 @@
+/**
+ * Report renderers for the tool responses: Markdown, CSV and self-contained HTML.
+ *
+ * The JSON response stays the source of truth; every renderer reads only the
+ * object the handler would have returned as JSON, so reports never show data
+ * the JSON lacks.
+ * - surface map: endpoint inventory, key endpoints, resources, webhooks; pages
+ *   after the first show only their endpoints
+ * - surface summary: counts per tag / resource / method / tier, top endpoints
+ * - coverage matrix: coverage table, constraints, gaps and next questions
+ * CSV carries one table per tool (the endpoint inventory, the summary counts or the matrix).
+ */
+
+export const OUTPUT_FORMATS = ["json", "markdown", "csv", "html"];
+
+const CONTENT_TYPES = {
+  markdown: "text/markdown; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  html: "text/html; charset=utf-8"
+};
+
+const EXTENSIONS = { markdown: "md", csv: "csv", html: "html" };
+
+/** output_format parameter: { format } or { error } (message for a 400) */
+export function readOutputFormat(params) {
+  const raw = params?.output_format;
+  if (raw === undefined || raw === null || raw === "") return { format: "json" };
+
+  const format = String(raw).toLowerCase() === "md" ? "markdown" : String(raw).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    return { error: `output_format must be one of: ${OUTPUT_FORMATS.join(", ")}.` };
+  }
+  return { format };
+}
+
+/* ---------- escaping ---------- */
+
+function mdCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ").trim() || " ";
+}
+
+function mdTable(headers, rows) {
+  if (!rows.length) return "_None._\n";
+  return [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(mdCell).join(" | ")} |`)
+  ].join("\n") + "\n";
+}
+
+/** Quote when needed; a leading =, +, -, @, tab or CR is prefixed so spreadsheets do not run it as a formula */
+function csvCell(value) {
+  let s = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvTable(headers, rows) {
+  return [headers, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function esc(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function htmlTable(headers, rows) {
+  if (!rows.length) return "<p><em>None.</em></p>";
+  return `<table><thead><tr>${headers.map((h) => `<th>${esc(h)}</th>`).join("")}</tr></thead><tbody>${rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`)
+    .join("")}</tbody></table>`;
+}
+
+function htmlList(items) {
+  return items.length ? `<ul>${items.map((i) => `<li>${esc(i)}</li>`).join("")}</ul>` : "";
+}
+
+const STYLE = `
+body{font:14px/1.45 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:24px;color:#1f2328;max-width:1200px}
+h1{font-size:22px}h2{font-size:17px;margin-top:28px;border-bottom:1px solid #d0d7de;padding-bottom:4px}
+table{border-collapse:collapse;width:100%;margin:8px 0}th,td{border:1px solid #d0d7de;padding:4px 8px;text-align:left;vertical-align:top}
+th{background:#f6f8fa}code{background:#f6f8fa;padding:0 3px;border-radius:3px}
+.badge{display:inline-block;padding:1px 8px;border-radius:10px;font-weight:600;font-size:12px}
+.full,.satisfied,.core{background:#dafbe1;color:#116329}.partial,.unknown,.auth,.bulk{background:#fff8c5;color:#7d4e00}
+.missing,.violated,.failed,.deprecated,.sunset{background:#ffebe9;color:#a40e26}.supporting,.admin,.diagnostics,.ok{background:#eaeef2;color:#424a53}
+details{margin:2px 0}summary{cursor:pointer}.muted{color:#656d76}
+`;
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${esc(title)}</title><style>${STYLE}</style></head>
+<body>${body}</body></html>
+`;
+}
+
+function badge(value) {
+  return `<span class="badge ${esc(value)}">${esc(value)}</span>`;
+}
+
+/* ---------- surface map ---------- */
+
+function authLabel(ep) {
+  if (ep.auth_required === null) return "undeclared";
+  if (!ep.auth_required) return "public";
+  return ep.scopes.length ? `required (${ep.scopes.join(", ")})` : "required";
+}
+
+function endpointRow(ep) {
+  return {
+    method: ep.method,
+    path: ep.path,
+    operation_id: ep.operation_id || "",
+    tags: ep.tags.join(", "),
+    purpose: ep.purpose,
+    auth: authLabel(ep),
+    tier: ep.criticality,
+    score: ep.criticality_score,
+    required_parameters: ep.parameters.filter((p) => p.required).map((p) => `${p.name} (${p.in})`).join(", "),
+    request: ep.request_schema_hint,
+    response: ep.response_schema_hint,
+    paginated: ep.collection ? (ep.collection.paginated ? ep.collection.pagination.styles.join(", ") : "no") : "",
+    bulk_async: ep.bulk_async ? ep.bulk_async.kinds.join(", ") : "",
+    api_version: ep.api_version || "",
+    deprecated: ep.deprecation ? ep.deprecation.sunset || "yes" : "",
+    base_url: ep.servers.base_url || "",
+    errors: ep.resilience.errors.map((e) => e.status).join(", "),
+    notes: ep.notes.join(" ")
+  };
+}
+
+/** "region: eu (default) | us" */
+function variablesLabel(entry) {
+  return entry.variables
+    .map((v) => `${v.name}: ${(v.enum || [v.default]).filter((x) => x !== null).map((x) => (x === v.default && v.enum ? `${x} (default)` : x)).join(" | ") || "no default"}`)
+    .join("; ");
+}
+
+function serverRows(map) {
+  return map.servers.entries.map((e) => ({
+    url: e.url,
+    default_url: e.default_url,
+    environments: Array.from(new Set(e.expanded.map((x) => x.environment))).join(", "),
+    regions: e.regions.join(", "),
+    level: e.scope ? `${e.level} (${e.scope})` : e.level,
+    variables: variablesLabel(e)
+  }));
+}
+
+/** Endpoint table; the base URL column only shows when some operations override the root servers */
+function endpointsMarkdown(endpoints) {
+  const rows = endpoints.map(endpointRow);
+  return endpoints.some((ep) => ep.servers.level !== "root")
+    ? mdTable(
+        ["Method", "Path", "Purpose", "Auth", "Tier", "Paginated", "Bulk/async", "Base URL", "Notes"],
+        rows.map((r) => [r.method, `\`${r.path}\``, r.purpose, r.auth, r.tier, r.paginated, r.bulk_async, r.base_url, r.notes])
+      )
+    : mdTable(
+        ["Method", "Path", "Purpose", "Auth", "Tier", "Paginated", "Bulk/async", "Notes"],
+        rows.map((r) => [r.method, `\`${r.path}\``, r.purpose, r.auth, r.tier, r.paginated, r.bulk_async, r.notes])
+      );
+}
+
+/** "tags: Payments, Refunds; methods: GET" */
+function filtersLabel(filters) {
+  return Object.entries(filters || {})
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(", ") : value}`)
+    .join("; ");
+}
+
+/** "Endpoints 101-200 of 640 matching tags: Payments; next cursor: `...`" (null for a complete, unfiltered list) */
+function pageLabel(result) {
+  const { page, filters } = result;
+  if (!page || (!filters && !page.offset && !page.has_more)) return null;
+  const range = page.returned ? `${page.offset + 1}-${page.offset + page.returned}` : "none";
+  return [
+    `Endpoints ${range} of ${page.matched}${filters ? ` matching ${filtersLabel(filters)}` : ""}`,
+    page.next_cursor ? `next cursor: ${page.next_cursor}` : "last page"
+  ].join("; ");
+}
+
+/** Pages after the first carry only endpoints */
+function surfacePageMarkdown(result) {
+  const map = result.surface_map;
+  return [`# API surface: ${map.api.title}`, "", `- ${pageLabel(result)}`, "", "## Endpoints", "", endpointsMarkdown(map.endpoints)].join("\n");
+}
+
+function surfaceMarkdown(result) {
+  if (result.page?.offset) return surfacePageMarkdown(result);
+
+  const map = result.surface_map;
+  const page = pageLabel(result);
+  const lines = [
+    `# API surface: ${map.api.title}`,
+    "",
+    `- Spec: ${result.spec_url || "inline"} (${map.spec_version.format} ${map.spec_version.version || ""}; API version ${map.api.version || "n/a"})`,
+    `- Base URLs: ${map.base_urls.join(", ") || "none declared"}`,
+    `- Environments: ${map.servers.environments.map((e) => e.environment).join(", ") || "none declared"}; regions: ${map.servers.regions.map((r) => r.region).join(", ") || "none declared"}`,
+    `- Auth schemes: ${map.auth.schemes.map((s) => `${s.name} (${s.type}${s.flows.length ? `: ${s.flows.join(", ")}` : ""})`).join(", ") || "none declared"}`,
+    `- Endpoints: ${result.stats.endpoint_count}, webhook events: ${result.stats.webhook_event_count}, schemas: ${result.stats.schema_count}`,
+    `- API versions: ${map.versioning.versions.map((v) => `${v.version} (${v.endpoint_count}${v.deprecated_count ? `, ${v.deprecated_count} deprecated` : ""})`).join(", ") || "unversioned paths"}`,
+    ...(page ? [`- ${page}`] : []),
+    "",
+    "## Key endpoints",
+    "",
+    mdTable(
+      ["Endpoint", "Tier", "Score", "Rationale"],
+      map.criticality.key_endpoints.map((k) => [`\`${k.method} ${k.path}\``, k.tier, k.score, k.rationale])
+    ),
+    ...(map.servers.entries.length
+      ? [
+          "## Servers",
+          "",
+          mdTable(
+            ["URL", "Default", "Environment", "Region", "Level", "Variables"],
+            serverRows(map).map((r) => [`\`${r.url}\``, r.default_url === r.url ? "" : `\`${r.default_url}\``, r.environments, r.regions, r.level, r.variables])
+          )
+        ]
+      : []),
+    "## Endpoints",
+    "",
+    endpointsMarkdown(map.endpoints),
+    ...(map.versioning.deprecated.length
+      ? [
+          "## Deprecated operations",
+          "",
+          mdTable(
+            ["Endpoint", "Version", "Sunset", "Replacement", "Signals"],
+            map.versioning.deprecated.map((d) => [`\`${d.endpoint}\``, d.api_version || "", d.sunset ? `${d.sunset}${d.sunset_passed ? " (passed)" : ""}` : "", d.replacement || "", d.signals.join(", ")])
+          )
+        ]
+      : []),
+    "## Resources",
+    "",
+    mdTable(
+      ["Resource", "Path", "Parent", "Missing lifecycle operations", "Actions"],
+      map.resources.map((r) => [r.name, r.path ? `\`${r.path}\`` : "", r.parent || "", r.lifecycle.missing.join(", ") || "complete", r.actions.length])
+    ),
+    "## Webhooks",
+    "",
+    mdTable(
+      ["Event", "Source", "Purpose", "Subscribed via"],
+      map.webhooks.events.map((e) => [e.name, e.source, e.purpose, e.subscription.map((s) => `${s.method} ${s.path}`).join(", ")])
+    )
+  ];
+
+  const notes = [...map.notes, ...map.auth.notes, ...map.resilience.notes, ...map.bulk_async.notes, ...map.versioning.notes, ...map.servers.notes, ...map.webhooks.notes];
+  if (notes.length) lines.push("## Notes", "", ...notes.map((n) => `- ${n}`), "");
+  return lines.join("\n");
+}
+
+const ENDPOINT_COLUMNS = [
+  "method", "path", "operation_id", "tags", "purpose", "auth", "tier", "score", "required_parameters",
+  "request", "response", "paginated", "bulk_async", "api_version", "deprecated", "base_url", "errors", "notes"
+];
+
+function surfaceCsv(result) {
+  return csvTable(ENDPOINT_COLUMNS, result.surface_map.endpoints.map(endpointRow).map((r) => ENDPOINT_COLUMNS.map((c) => r[c])));
+}
+
+function endpointsHtml(endpoints) {
+  const rows = endpoints.map((ep) => {
+    const r = endpointRow(ep);
+    const details = [
+      r.required_parameters && `Required parameters: ${r.required_parameters}`,
+      r.request && `Request: ${r.request}`,
+      r.response && `Response: ${r.response}`,
+      r.errors && `Errors: ${r.errors}`,
+      r.bulk_async && `Bulk/async: ${r.bulk_async}`,
+      r.api_version && `API version: ${r.api_version}`,
+      r.base_url && `Base URL: ${r.base_url}${ep.servers.level === "root" ? "" : ` (${ep.servers.level}-level servers)`}`,
+      ...ep.notes
+    ].filter(Boolean);
+    return [
+      `<code>${esc(ep.method)}</code>`,
+      `<details><summary><code>${esc(ep.path)}</code></summary>${htmlList(details)}</details>`,
+      `${esc(ep.purpose)}${ep.deprecation ? ` ${badge(ep.deprecation.sunset_passed ? "sunset" : "deprecated")}` : ""}`,
+      esc(r.auth),
+      badge(ep.criticality),
+      esc(r.paginated)
+    ];
+  });
+  return htmlTable(["Method", "Path", "Purpose", "Auth", "Tier", "Paginated"], rows);
+}
+
+function surfaceHtml(result) {
+  const map = result.surface_map;
+  const title = `API surface: ${map.api.title}`;
+  const page = pageLabel(result);
+  if (result.page?.offset) {
+    return htmlPage(title, [`<h1>${esc(title)}</h1>`, `<p class="muted">${esc(page)}</p>`, "<h2>Endpoints</h2>", endpointsHtml(map.endpoints)].join("\n"));
+  }
+
+  const notes = [...map.notes, ...map.auth.notes, ...map.resilience.notes, ...map.bulk_async.notes, ...map.versioning.notes, ...map.servers.notes, ...map.webhooks.notes];
+  const body = [
+    `<h1>${esc(title)}</h1>`,
+    `<p class="muted">${esc(result.spec_url || "inline spec")} · ${esc(map.spec_version.format)} ${esc(map.spec_version.version || "")} · API version ${esc(map.api.version || "n/a")} · ${result.stats.endpoint_count} endpoints · ${result.stats.webhook_event_count} webhook events</p>`,
+    `<p>Base URLs: ${esc(map.base_urls.join(", ") || "none declared")}<br>Auth: ${esc(map.auth.schemes.map((s) => `${s.name} (${s.type})`).join(", ") || "none declared")}</p>`,
+    "<h2>Key endpoints</h2>",
+    htmlTable(
+      ["Endpoint", "Tier", "Score", "Rationale"],
+      map.criticality.key_endpoints.map((k) => [`<code>${esc(`${k.method} ${k.path}`)}</code>`, badge(k.tier), esc(k.score), esc(k.rationale)])
+    ),
+    map.servers.entries.length
+      ? `<h2>Servers</h2>${htmlTable(
+          ["URL", "Environment", "Region", "Level", "Variables"],
+          serverRows(map).map((r) => [
+            `<code>${esc(r.url)}</code>${r.default_url === r.url ? "" : `<br><span class="muted">${esc(r.default_url)}</span>`}`,
+            esc(r.environments),
+            esc(r.regions),
+            esc(r.level),
+            esc(r.variables)
+          ])
+        )}`
+      : "",
+    "<h2>Endpoints</h2>",
+    page ? `<p class="muted">${esc(page)}</p>` : "",
+    endpointsHtml(map.endpoints),
+    "<h2>Resources</h2>",
+    htmlTable(
+      ["Resource", "Path", "Lifecycle"],
+      map.resources.map((r) => [
+        esc(r.name),
+        r.path ? `<code>${esc(r.path)}</code>` : "",
+        r.lifecycle.complete ? badge("full") : `${badge("partial")} missing ${esc(r.lifecycle.missing.join(", "))}`
+      ])
+    ),
+    "<h2>Webhooks</h2>",
+    htmlTable(["Event", "Source", "Purpose"], map.webhooks.events.map((e) => [esc(e.name), esc(e.source), esc(e.purpose)])),
+    notes.length ? `<h2>Notes</h2>${htmlList(notes)}` : ""
+  ];
+  return htmlPage(title, body.join("\n"));
+}
+
+/* ---------- surface summary ---------- */
+
+/** { GET: 3, POST: 1 } -> "GET 3, POST 1" */
+function countsLabel(counts) {
+  return Object.entries(counts).map(([key, n]) => `${key} ${n}`).join(", ");
+}
+
+function summaryHeader(result) {
+  const sum = result.summary;
+  return [
+    `Spec: ${result.spec_url || "inline"} (${sum.spec_version.format} ${sum.spec_version.version || ""}; API version ${sum.api.version || "n/a"})`,
+    `Base URLs: ${sum.base_urls.join(", ") || "none declared"}`,
+    `Environments: ${sum.environments.join(", ") || "none declared"}; regions: ${sum.regions.join(", ") || "none declared"}`,
+    `Auth schemes: ${sum.auth_schemes.map((a) => `${a.name} (${a.type}${a.flows.length ? `: ${a.flows.join(", ")}` : ""})`).join(", ") || "none declared"}`,
+    `Endpoints: ${sum.endpoint_count}${result.filters ? ` of ${result.stats.endpoint_count} matching ${filtersLabel(result.filters)}` : ""} (${countsLabel(sum.by_method) || "none"}); tiers: ${countsLabel(sum.by_tier) || "none"}`,
+    `Deprecated: ${sum.deprecated_count}, webhook events: ${sum.webhook_events.length}, schemas: ${sum.schema_count}`
+  ];
+}
+
+function summaryMarkdown(result) {
+  const sum = result.summary;
+  const lines = [
+    `# API summary: ${sum.api.title}`,
+    "",
+    ...summaryHeader(result).map((l) => `- ${l}`),
+    "",
+    "## Top endpoints",
+    "",
+    mdTable(
+      ["Endpoint", "Tier", "Score", "Tags", "Purpose"],
+      sum.top_endpoints.map((ep) => [`\`${ep.method} ${ep.path}\``, ep.deprecated ? `${ep.tier} (deprecated)` : ep.tier, ep.score, ep.tags.join(", "), ep.purpose])
+    ),
+    "## Endpoints by tag",
+    "",
+    mdTable(["Tag", "Endpoints", "Methods"], sum.by_tag.map((t) => [t.tag, t.endpoint_count, countsLabel(t.methods)])),
+    "## Endpoints by resource",
+    "",
+    mdTable(
+      ["Resource", "Path", "Endpoints", "Missing lifecycle operations"],
+      sum.by_resource.map((r) => [r.resource, r.path ? `\`${r.path}\`` : "", r.endpoint_count, r.lifecycle_missing.join(", ") || "complete"])
+    )
+  ];
+  if (sum.notes.length) lines.push("## Notes", "", ...sum.notes.map((n) => `- ${n}`), "");
+  return lines.join("\n");
+}
+
+const SUMMARY_COLUMNS = ["group", "name", "path", "endpoint_count", "detail"];
+
+function summaryCsv(result) {
+  const sum = result.summary;
+  const rows = [
+    ...sum.by_tag.map((t) => ["tag", t.tag, "", t.endpoint_count, countsLabel(t.methods)]),
+    ...sum.by_resource.map((r) => ["resource", r.resource, r.path, r.endpoint_count, r.lifecycle_missing.length ? `missing ${r.lifecycle_missing.join(", ")}` : "complete"]),
+    ...Object.entries(sum.by_method).map(([method, n]) => ["method", method, "", n, ""]),
+    ...Object.entries(sum.by_tier).map(([tier, n]) => ["tier", tier, "", n, ""])
+  ];
+  return csvTable(SUMMARY_COLUMNS, rows);
+}
+
+function summaryHtml(result) {
+  const sum = result.summary;
+  const title = `API summary: ${sum.api.title}`;
+  const body = [
+    `<h1>${esc(title)}</h1>`,
+    htmlList(summaryHeader(result)),
+    "<h2>Top endpoints</h2>",
+    htmlTable(
+      ["Endpoint", "Tier", "Score", "Tags", "Purpose"],
+      sum.top_endpoints.map((ep) => [
+        `<code>${esc(`${ep.method} ${ep.path}`)}</code>`,
+        `${badge(ep.tier)}${ep.deprecated ? ` ${badge("deprecated")}` : ""}`,
+        esc(ep.score),
+        esc(ep.tags.join(", ")),
+        esc(ep.purpose)
+      ])
+    ),
+    "<h2>Endpoints by tag</h2>",
+    htmlTable(["Tag", "Endpoints", "Methods"], sum.by_tag.map((t) => [esc(t.tag), esc(t.endpoint_count), esc(countsLabel(t.methods))])),
+    "<h2>Endpoints by resource</h2>",
+    htmlTable(
+      ["Resource", "Path", "Endpoints", "Lifecycle"],
+      sum.by_resource.map((r) => [
+        esc(r.resource),
+        r.path ? `<code>${esc(r.path)}</code>` : "",
+        esc(r.endpoint_count),
+        r.lifecycle_missing.length ? `${badge("partial")} missing ${esc(r.lifecycle_missing.join(", "))}` : badge("full")
+      ])
+    ),
+    sum.notes.length ? `<h2>Notes</h2>${htmlList(sum.notes)}` : ""
+  ];
+  return htmlPage(title, body.join("\n"));
+}
+
+/* ---------- coverage matrix ---------- */
+
+function evidenceLabel(e) {
+  const status = e.operation_status ? `, ${e.operation_status.status}` : "";
+  return `${e.spec ? `${e.spec} ` : ""}${e.method} ${e.path} (${e.source === "override" ? "pinned" : e.confidence}${status})`;
+}
+
+/** "partial" or "partial (reviewer; heuristic: missing)" when a label was forced */
+function coverageText(m) {
+  const forced = m.override?.coverage;
+  return forced ? `${m.coverage} (reviewer; heuristic: ${forced.heuristic})` : m.coverage;
+}
+
+/** One line per applied override rule, for the audit section */
+function overrideLines(overrides) {
+  if (!overrides) return [];
+  return [
+    ...overrides.pins.map((p) => `Pinned ${p.endpoint}${p.spec ? ` (${p.spec})` : ""} to ${p.id || p.capability}: ${p.status}${p.note ? ` — ${p.note}` : ""}`),
+    ...overrides.exclude.map((x) => `Excluded ${x.rule}: ${x.status}${x.endpoints.length ? ` (${x.endpoints.length} endpoint(s))` : ""}`),
+    ...overrides.coverage.map(
+      (c) => `Forced ${c.id || c.capability} to ${c.coverage}: ${c.status}${c.heuristic_coverage ? ` (heuristic: ${c.heuristic_coverage})` : ""} — ${c.note}${c.reviewer ? ` (${c.reviewer})` : ""}`
+    )
+  ];
+}
+
+/** A next question with the spec location that triggered it */
+function questionLabel(q) {
+  const where = [q.evidence?.spec, q.evidence?.pointer || q.evidence?.page_url].filter(Boolean).join(" ");
+  return where ? `${q.question} [${where}]` : q.question;
+}
+
+function matrixTitle(result) {
+  const titles = (result.specs || []).filter((s) => s.status === "ok").map((s) => s.title);
+  return titles.length ? `Capability coverage: ${titles.join(", ")}` : "Capability coverage";
+}
+
+function matrixMarkdown(result) {
+  const { overall, matrix } = result;
+  const lines = [
+    `# ${matrixTitle(result)}`,
+    "",
+    `**Coverage score:** ${overall.coverage_score}/100 (${overall.full_count} full, ${overall.partial_count} partial, ${overall.missing_count} missing; confidence ${overall.confidence})`,
+    ""
+  ];
+
+  if (result.specs?.length) {
+    lines.push("## Specs", "", mdTable(
+      ["Spec", "Title", "URL", "Status", "Environments", "Regions", "Score"],
+      result.specs.map((s) => [s.id, s.title || "", s.url || "inline", s.status, (s.environments || []).join(", "), (s.regions || []).join(", "), s.coverage_score ?? ""])
+    ));
+  }
+  if (overall.blocking_gaps.length) {
+    lines.push("## Blocking gaps", "", ...overall.blocking_gaps.map((g) => `- **${g.id}** ${g.capability}: ${g.gap}`), "");
+  }
+
+  lines.push("## Coverage", "", mdTable(
+    ["ID", "Capability", "Priority", "Coverage", "Confidence", "Best evidence"],
+    matrix.map((m) => [m.id, m.capability, m.priority, coverageText(m), m.confidence, m.evidence[0] ? evidenceLabel(m.evidence[0]) : ""])
+  ));
+
+  if (result.constraints?.length) {
+    lines.push("## Constraints", "", mdTable(
+      ["ID", "Category", "Constraint", "Status", "Reason"],
+      result.constraints.map((c) => [c.id, c.category, c.text, c.status, c.reason])
+    ));
+  }
+
+  lines.push("## Gaps and next questions", "");
+  for (const m of matrix.filter((row) => row.gaps.length || row.next_questions.length)) {
+    lines.push(`### ${m.id}: ${m.capability} (${m.coverage})`, "");
+    lines.push(...m.gaps.map((g) => `- ${g}`));
+    if (m.gaps.length && m.next_questions.length) lines.push("");
+    if (m.next_questions.length) lines.push("Next questions:", "", ...m.next_questions.map((q) => `- ${questionLabel(q)}`));
+    lines.push("");
+  }
+
+  const audit = overrideLines(result.overrides);
+  if (audit.length) lines.push("## Reviewer overrides", "", ...audit.map((a) => `- ${a}`), "");
+
+  if (overall.notes?.length) lines.push("## Notes", "", ...overall.notes.map((n) => `- ${n}`), "");
+  return lines.join("\n");
+}
+
+const MATRIX_COLUMNS = ["id", "capability", "priority", "coverage", "heuristic_coverage", "confidence", "resource", "evidence", "gaps", "next_questions", "coverage_by_spec", "reviewer_note"];
+
+function matrixCsv(result) {
+  return csvTable(
+    MATRIX_COLUMNS,
+    result.matrix.map((m) => [
+      m.id,
+      m.capability,
+      m.priority,
+      m.coverage,
+      m.override?.coverage ? m.override.coverage.heuristic : m.coverage,
+      m.confidence,
+      m.resource ? m.resource.name : "",
+      m.evidence.map(evidenceLabel).join("; "),
+      m.gaps.join(" "),
+      m.next_questions.map(questionLabel).join(" "),
+      Object.entries(m.coverage_by_spec || {}).map(([spec, cov]) => `${spec}: ${cov}`).join("; "),
+      m.override?.coverage ? m.override.coverage.note : ""
+    ])
+  );
+}
+
+function matrixHtml(result) {
+  const { overall, matrix } = result;
+  const title = matrixTitle(result);
+
+  const rows = matrix.map((m) => {
+    const evidence = m.evidence.length
+      ? `<details><summary>${esc(evidenceLabel(m.evidence[0]))}${m.evidence.length > 1 ? ` +${m.evidence.length - 1}` : ""}</summary><ul>${m.evidence
+          .map((e) => `<li><code>${esc(`${e.method} ${e.path}`)}</code> ${esc(e.spec || "")} · ${e.source === "override" ? "<strong>pinned</strong>" : esc(e.confidence)} · <span class="muted">${esc(e.reason)}</span></li>`)
+          .join("")}</ul></details>`
+      : '<span class="muted">none</span>';
+    const followUp = m.gaps.length || m.next_questions.length
+      ? `<details><summary>${m.gaps.length} gap(s), ${m.next_questions.length} question(s)</summary>${htmlList(m.gaps)}${htmlList(m.next_questions.map(questionLabel))}</details>`
+      : "";
+    const forced = m.override?.coverage
+      ? ` <span class="muted" title="${esc(m.override.coverage.note)}">reviewer; heuristic: ${esc(m.override.coverage.heuristic)}</span>`
+      : "";
+    return [esc(m.id), esc(m.capability), esc(m.priority), `${badge(m.coverage)}${forced}`, esc(m.confidence), evidence, followUp];
+  });
+
+  const body = [
+    `<h1>${esc(title)}</h1>`,
+    `<p><strong>Coverage score: ${esc(overall.coverage_score)}/100</strong> · ${badge("full")} ${overall.full_count} ${badge("partial")} ${overall.partial_count} ${badge("missing")} ${overall.missing_count} · confidence ${esc(overall.confidence)}</p>`,
+    result.specs?.length
+      ? htmlTable(
+          ["Spec", "Title", "URL", "Status", "Environments", "Regions", "Score"],
+          result.specs.map((s) => [esc(s.id), esc(s.title || ""), esc(s.url || "inline"), badge(s.status), esc((s.environments || []).join(", ")), esc((s.regions || []).join(", ")), esc(s.coverage_score ?? "")])
+        )
+      : "",
+    overall.blocking_gaps.length
+      ? `<h2>Blocking gaps</h2>${htmlList(overall.blocking_gaps.map((g) => `${g.id} ${g.capability}: ${g.gap}`))}`
+      : "",
+    "<h2>Coverage</h2>",
+    htmlTable(["ID", "Capability", "Priority", "Coverage", "Confidence", "Evidence", "Gaps / questions"], rows),
+    result.constraints?.length
+      ? `<h2>Constraints</h2>${htmlTable(
+          ["ID", "Category", "Constraint", "Status", "Reason"],
+          result.constraints.map((c) => [
+            esc(c.id),
+            esc(c.category),
+            esc(c.text),
+            badge(c.status),
+            c.evidence.length ? `<details><summary>${esc(c.reason)}</summary>${htmlList(c.evidence)}</details>` : esc(c.reason)
+          ])
+        )}`
+      : "",
+    result.overrides ? `<h2>Reviewer overrides</h2>${htmlList(overrideLines(result.overrides))}` : "",
+    overall.notes?.length ? `<h2>Notes</h2>${htmlList(overall.notes)}` : ""
+  ];
+  return htmlPage(title, body.join("\n"));
+}
+
+const RENDERERS = {
+  surface_map: { markdown: surfaceMarkdown, csv: surfaceCsv, html: surfaceHtml },
+  surface_summary: { markdown: summaryMarkdown, csv: summaryCsv, html: summaryHtml },
+  coverage_matrix: { markdown: matrixMarkdown, csv: matrixCsv, html: matrixHtml }
+};
+
+/**
+ * Send a tool result as JSON or as a rendered report.
+ * kind: "surface_map" | "surface_summary" | "coverage_matrix"; result: the JSON response object.
+ */
+export function sendResult(res, kind, format, result) {
+  if (format === "json") return res.status(200).json(result);
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  if (format === "csv") {
+    res.setHeader("Content-Disposition", `attachment; filename="${kind}.${EXTENSIONS[format]}"`);
+  }
+  return res.status(200).send(RENDERERS[kind][format](result));
+}
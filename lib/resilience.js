@@ -0,0 +1,187 @@
+/**
+ * Error model, idempotency and rate-limit signals per operation, plus the
+ * API-level "resilience" roll-up the surface map exposes.
+ *
+ * Per endpoint:
+ * - errors: documented non-2xx responses (incl. 4XX/5XX ranges and `default`)
+ *   with the error schema shape (RFC 7807 problem details detected)
+ * - idempotency: Idempotency-Key-style request headers
+ * - retry_after / rate_limit_headers: Retry-After and X-RateLimit-* style response headers
+ * - rate_limit_extensions: x-rate-limit / x-ratelimit / x-throttling style vendor extensions
+ *
+ * Only what the spec documents is reported; absence is turned into notes.
+ */
+
+import { summarizeSchema, toPointer } from "./schema_resolver.js";
+import { pickMediaType, responsesFor } from "./spec_version.js";
+
+const IDEMPOTENCY_HEADER = /idempot|dedup/i;
+const RATE_LIMIT_HEADER = /rate-?limit|quota|throttl/i;
+const RATE_LIMIT_EXTENSION = /^x-.*(rate-?limit|throttl|quota)/i;
+const PROBLEM_FIELDS = ["type", "title", "status", "detail"];
+const MAX_ERROR_FIELDS = 12;
+const RETRYABLE = /^(408|409|425|429|5\d\d|5XX)$/i;
+
+function headerNames(resolver, headers) {
+  if (!headers || typeof headers !== "object") return [];
+  return Object.keys(headers).filter((name) => resolver.deref(headers[name]).value);
+}
+
+/** Error schema shape: name, type, top-level fields, problem-details flag */
+function errorShape(resolver, mediaType, schema, base) {
+  const summary = summarizeSchema(resolver, schema, base);
+  if (!summary) return null;
+
+  const fields = summary.properties.map((p) => p.name);
+  return {
+    name: summary.name,
+    type: summary.type,
+    fields: fields.slice(0, MAX_ERROR_FIELDS),
+    problem_details: /problem\+json/i.test(mediaType || "") || PROBLEM_FIELDS.every((f) => fields.includes(f))
+  };
+}
+
+/** Vendor extensions about rate limits on the operation or its path item */
+function rateLimitExtensions(pathItem, op, path, method) {
+  const found = [];
+  const scan = (node, segments) => {
+    if (!node || typeof node !== "object") return;
+    for (const [key, value] of Object.entries(node)) {
+      if (!RATE_LIMIT_EXTENSION.test(key)) continue;
+      found.push({ key, pointer: toPointer([...segments, key]), value: JSON.stringify(value).slice(0, 300) });
+    }
+  };
+
+  scan(op, ["paths", path, method.toLowerCase()]);
+  scan(pathItem, ["paths", path]);
+  return found;
+}
+
+/** API-wide rate-limit extensions (root and info) */
+function globalRateLimitExtensions(openapi) {
+  const found = [];
+  for (const [node, segments] of [[openapi, []], [openapi?.info, ["info"]]]) {
+    for (const [key, value] of Object.entries(node || {})) {
+      if (!RATE_LIMIT_EXTENSION.test(key)) continue;
+      found.push({ key, pointer: toPointer([...segments, key]), value: JSON.stringify(value).slice(0, 300) });
+    }
+  }
+  return found;
+}
+
+/**
+ * Resilience signals for one operation.
+ * parameters: the endpoint's merged parameter list (surface map shape).
+ */
+export function operationResilience(resolver, openapi, { pathItem, op, path, method }, parameters) {
+  const responses = responsesFor(resolver, openapi, op) || {};
+  const errors = [];
+  const retryAfter = [];
+  const rateLimitHeaders = new Set();
+
+  for (const [status, response] of Object.entries(responses)) {
+    const { value, base } = resolver.deref(response);
+    if (!value || typeof value !== "object") continue;
+
+    const headers = headerNames(resolver, value.headers);
+    if (headers.some((h) => h.toLowerCase() === "retry-after")) retryAfter.push(status);
+    for (const h of headers) if (RATE_LIMIT_HEADER.test(h)) rateLimitHeaders.add(h);
+
+    if (/^2/.test(status)) continue;
+
+    const content = value.content || {};
+    const mediaType = pickMediaType(content);
+    errors.push({
+      status,
+      description: typeof value.description === "string" ? value.description.split("\n")[0] : "",
+      content_types: Object.keys(content),
+      schema: mediaType ? errorShape(resolver, mediaType, content[mediaType]?.schema, base) : null,
+      retryable: RETRYABLE.test(status)
+    });
+  }
+
+  const idempotencyParam = parameters.find((p) => p.in === "header" && IDEMPOTENCY_HEADER.test(p.name));
+
+  return {
+    errors,
+    idempotency: idempotencyParam ? { header: idempotencyParam.name, required: idempotencyParam.required } : null,
+    retry_after: retryAfter,
+    rate_limit_headers: Array.from(rateLimitHeaders),
+    rate_limit_extensions: rateLimitExtensions(pathItem, op, path, method)
+  };
+}
+
+/**
+ * API-level roll-up of the per-endpoint resilience signals:
+ * status coverage, shared error schemas, idempotency, rate limits and notes.
+ */
+export function summarizeResilience(openapi, endpoints) {
+  const statusCounts = {};
+  const errorSchemas = new Map();
+  const idempotencyHeaders = new Set();
+  const rateLimitHeaders = new Set();
+  let idempotentWrites = 0;
+  let writes = 0;
+  let with429 = 0;
+  let withRetryAfter = 0;
+  let withoutErrors = 0;
+
+  for (const ep of endpoints) {
+    const r = ep.resilience;
+    for (const e of r.errors) {
+      statusCounts[e.status] = (statusCounts[e.status] || 0) + 1;
+      if (e.schema) {
+        const key = e.schema.name || `${e.schema.type}: ${e.schema.fields.join(", ")}`;
+        if (!errorSchemas.has(key)) errorSchemas.set(key, { ...e.schema, endpoint_count: 0, statuses: new Set() });
+        errorSchemas.get(key).endpoint_count += 1;
+        errorSchemas.get(key).statuses.add(e.status);
+      }
+    }
+
+    if (!r.errors.length) withoutErrors += 1;
+    if (r.errors.some((e) => e.status === "429")) with429 += 1;
+    if (r.retry_after.length) withRetryAfter += 1;
+    for (const h of r.rate_limit_headers) rateLimitHeaders.add(h);
+
+    if (["POST", "PATCH"].includes(ep.method)) {
+      writes += 1;
+      if (r.idempotency) idempotentWrites += 1;
+    }
+    if (r.idempotency) idempotencyHeaders.add(r.idempotency.header);
+  }
+
+  const extensions = [
+    ...globalRateLimitExtensions(openapi),
+    ...endpoints.flatMap((ep) => ep.resilience.rate_limit_extensions)
+  ];
+
+  const notes = [];
+  if (withoutErrors) notes.push(`${withoutErrors} endpoint(s) document no error responses.`);
+  if (!with429 && !rateLimitHeaders.size && !extensions.length) {
+    notes.push("No rate limits documented (no 429 responses, rate-limit headers or extensions); confirm limits with the vendor.");
+  }
+  if (writes && !idempotentWrites) {
+    notes.push("No idempotency key on POST/PATCH endpoints; retried writes may create duplicates, so dedupe on the client side.");
+  } else if (writes > idempotentWrites) {
+    notes.push(`${writes - idempotentWrites} of ${writes} POST/PATCH endpoint(s) accept no idempotency key.`);
+  }
+
+  return {
+    documented_statuses: statusCounts,
+    error_schemas: Array.from(errorSchemas.values())
+      .map((s) => ({ ...s, statuses: Array.from(s.statuses).sort() }))
+      .sort((a, b) => b.endpoint_count - a.endpoint_count),
+    idempotency: {
+      headers: Array.from(idempotencyHeaders),
+      write_endpoint_count: writes,
+      idempotent_write_count: idempotentWrites
+    },
+    rate_limits: {
+      endpoints_documenting_429: with429,
+      endpoints_with_retry_after: withRetryAfter,
+      headers: Array.from(rateLimitHeaders),
+      extensions
+    },
+    notes
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Resource model inferred from path structure.
+ *
+ * "/customers", "/customers/{id}" and "/customers/{id}/addresses" become two
+ * resources (customers, addresses) with addresses nested under customers.
+ * Each resource lists which lifecycle operations exist:
+ *   create, read, list, update_put, update_patch, delete, search, bulk
+ * plus remaining custom actions ("POST /orders/{id}/cancel").
+ *
+ * A literal path segment is a resource when it is read (GET), modified
+ * (PUT/PATCH/DELETE), addressed by id (a "/{id}" path below it) or top-level.
+ * Otherwise (POST-only below an item) it is an action on its parent, except
+ * search/bulk words, which map onto the parent's search/bulk operations.
+ *
+ * Version prefixes keep resources apart ("/v1/customers" and "/v2/customers" are
+ * two resources); a resource whose operations are all superseded by a newer
+ * version (lib/deprecation.js) names the resource that replaces it in superseded_by.
+ * Diagnostic paths (/health, /status) are not resources, and a GET on a collection
+ * path that returns a single object (/me) counts as read rather than list.
+ */
+
+const VERSION_SEGMENT = /^(v\d+(\.\d+)*|api|rest|public|latest)$/i;
+const DIAGNOSTIC_SEGMENT = /^(health|healthz|healthcheck|ping|status|version|metrics|debug|heartbeat|livez|readyz|_health)$/i;
+const SEARCH_SEGMENT = /^(search|query|find|lookup|filter)$/i;
+const BULK_SEGMENT = /^(bulk|batch|batches|import|export|bulk-\w+|batch-\w+)$/i;
+
+export const LIFECYCLE_OPERATIONS = ["create", "read", "list", "update_put", "update_patch", "delete", "search", "bulk"];
+
+/** Path segments without version prefixes: "/v1/customers/{id}" -> ["customers", "{id}"] */
+export function literalSegments(path) {
+  return splitPrefix(path).segments;
+}
+
+/** "/api/v1/customers/{id}" -> { prefix: "/api/v1", segments: ["customers", "{id}"] } */
+function splitPrefix(path) {
+  const segments = String(path || "").split("/").filter(Boolean);
+  const prefix = [];
+  while (segments.length && VERSION_SEGMENT.test(segments[0])) prefix.push(segments.shift());
+  return { prefix: prefix.map((s) => `/${s}`).join(""), segments };
+}
+
+/** First literal segment: the top-level resource name */
+export function topResource(path) {
+  return literalSegments(path).find((s) => !isParam(s)) || null;
+}
+
+/** "/health", "/v1/status/db": diagnostic paths rather than resources */
+export function isDiagnosticPath(path) {
+  const segments = literalSegments(path);
+  return segments.length > 0 && segments.length <= 2 && DIAGNOSTIC_SEGMENT.test(segments[0]);
+}
+
+function isParam(segment) {
+  return /^\{.+\}$/.test(segment);
+}
+
+/** "/customers/{customerId}/addresses" -> "/customers/{}/addresses" (param names ignored) */
+function normalize(segments) {
+  return `/${segments.map((s) => (isParam(s) ? "{}" : s)).join("/")}`;
+}
+
+function emptyOperations() {
+  return Object.fromEntries(LIFECYCLE_OPERATIONS.map((op) => [op, []]));
+}
+
+/**
+ * Build the resource model from surface map endpoints.
+ * Returns [{ name, path, item_path, api_version, parent, children, depth, operations,
+ * actions, lifecycle, superseded_by }]; path is the collection path, else the item path.
+ */
+export function buildResourceModel(endpoints) {
+  const parsed = endpoints.filter((ep) => !isDiagnosticPath(ep.path)).map((ep) => ({ ep, ...splitPrefix(ep.path) }));
+  const keyOf = (prefix, segments) => `${prefix}${normalize(segments)}`;
+  const byKey = new Map(); // version prefix + normalized path -> endpoints at exactly that path
+  for (const p of parsed) {
+    const key = keyOf(p.prefix, p.segments);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(p);
+  }
+
+  const isResourcePath = (prefix, segments) => {
+    if (!segments.length || isParam(segments[segments.length - 1])) return false;
+    const last = segments[segments.length - 1];
+    if (SEARCH_SEGMENT.test(last) || BULK_SEGMENT.test(last)) return segments.length === 1;
+    if (segments.length === 1) return true;
+
+    const key = keyOf(prefix, segments);
+    const here = byKey.get(key) || [];
+    if (here.some((p) => p.ep.method !== "POST")) return true;
+    return Array.from(byKey.keys()).some((k) => k.startsWith(`${key}/{}`));
+  };
+
+  const resources = new Map();
+  const ensure = (prefix, segments, ep) => {
+    const key = keyOf(prefix, segments);
+    if (!resources.has(key)) {
+      resources.set(key, {
+        name: segments[segments.length - 1],
+        path: null,
+        item_path: null,
+        api_version: ep.api_version ?? null,
+        parent: null,
+        children: [],
+        depth: segments.filter((s) => !isParam(s)).length,
+        operations: emptyOperations(),
+        actions: [],
+        key,
+        prefix,
+        segments,
+        endpoints: []
+      });
+    }
+    return resources.get(key);
+  };
+
+  /** Nearest resource path at or above `segments` (walking up past params/actions) */
+  const owningResource = (prefix, segments) => {
+    for (let end = segments.length; end > 0; end -= 1) {
+      const head = segments.slice(0, end);
+      if (isResourcePath(prefix, head)) return head;
+    }
+    return null;
+  };
+
+  const ownerOf = new Map(); // "METHOD /path" -> resource
+  for (const { ep, prefix, segments } of parsed) {
+    const label = `${ep.method} ${ep.path}`;
+    const last = segments[segments.length - 1];
+    const ownerSegments = owningResource(prefix, segments);
+    if (!ownerSegments) continue;
+
+    const resource = ensure(prefix, ownerSegments, ep);
+    const rest = segments.slice(ownerSegments.length);
+    resource.endpoints.push(ep);
+    ownerOf.set(label, resource);
+
+    if (rest.length === 0) {
+      resource.path = resource.path || ep.path;
+      if (ep.method === "GET") resource.operations[SEARCH_SEGMENT.test(last) ? "search" : ep.collection ? "list" : "read"].push(label);
+      else if (ep.method === "POST") resource.operations[BULK_SEGMENT.test(last) ? "bulk" : SEARCH_SEGMENT.test(last) ? "search" : "create"].push(label);
+      else if (ep.method === "PUT") resource.operations.update_put.push(label);
+      else if (ep.method === "PATCH") resource.operations.update_patch.push(label);
+      else if (ep.method === "DELETE") resource.operations.bulk.push(label);
+      continue;
+    }
+
+    if (rest.length === 1 && isParam(rest[0])) {
+      resource.item_path = resource.item_path || ep.path;
+      const op = { GET: "read", PUT: "update_put", PATCH: "update_patch", DELETE: "delete" }[ep.method];
+      if (op) resource.operations[op].push(label);
+      else resource.actions.push(label);
+      continue;
+    }
+
+    // Below the collection or item: search/bulk words, otherwise custom actions
+    if (SEARCH_SEGMENT.test(last)) resource.operations.search.push(label);
+    else if (BULK_SEGMENT.test(last)) resource.operations.bulk.push(label);
+    else resource.actions.push(label);
+  }
+
+  // Parent/child nesting: nearest resource above the collection path
+  for (const resource of resources.values()) {
+    const { prefix, segments } = resource;
+    for (let end = segments.length - 1; end > 0; end -= 1) {
+      const parent = resources.get(keyOf(prefix, segments.slice(0, end)));
+      if (parent) {
+        resource.parent = parent.path || parent.item_path;
+        if (resource.path || resource.item_path) parent.children.push(resource.path || resource.item_path);
+        break;
+      }
+    }
+  }
+
+  return Array.from(resources.values()).map(({ key, prefix, segments, endpoints: owned, ...resource }) => {
+    const has = (op) => resource.operations[op].length > 0;
+    const missing = ["create", "read", "list", "update", "delete"].filter((op) =>
+      op === "update" ? !has("update_put") && !has("update_patch") : !has(op)
+    );
+    const successor = owned.every((ep) => ep.superseded_by) ? ownerOf.get(owned[0].superseded_by) : null;
+
+    return {
+      ...resource,
+      path: resource.path || resource.item_path,
+      lifecycle: { complete: missing.length === 0, missing },
+      superseded_by: successor && successor !== resources.get(key) ? successor.path || successor.item_path : null
+    };
+  });
+}
@@ -0,0 +1,360 @@
+/**
+ * Schema resolution shared by the tools.
+ *
+ * - Follows local ($ref: "#/components/..."), relative-file and absolute-URL refs
+ * - External documents are loaded up front so resolution itself stays synchronous
+ * - Circular refs are detected and reported instead of recursing forever
+ * - summarizeSchema() turns a schema into a short, agent-friendly shape
+ *   (top-level properties, types, required fields, enums)
+ */
+
+const ROOT_DOCUMENT = "#root";
+const MAX_PROPERTIES = 40;
+const MAX_ENUM_VALUES = 20;
+const DEFAULT_LOAD_BUDGET_MS = 20000;
+
+function isObject(v) {
+  return v !== null && typeof v === "object";
+}
+
+function splitRef(ref) {
+  const i = ref.indexOf("#");
+  if (i === -1) return { docPart: ref, fragment: "" };
+  return { docPart: ref.slice(0, i), fragment: ref.slice(i + 1) };
+}
+
+/** Key of the document a ref points into, relative to the document it appears in. */
+function documentKey(ref, fromKey) {
+  const { docPart } = splitRef(ref);
+  if (!docPart) return fromKey;
+
+  try {
+    if (fromKey === ROOT_DOCUMENT) return new URL(docPart).href;
+    return new URL(docPart, fromKey).href;
+  } catch {
+    return null; // relative ref with no base URL to resolve against
+  }
+}
+
+/** Read a JSON pointer fragment ("/components/schemas/Pet") from a document; undefined if absent or malformed. */
+function readPointer(doc, fragment) {
+  if (!fragment || fragment === "/") return doc;
+
+  let current = doc;
+  for (const raw of fragment.replace(/^\//, "").split("/")) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(raw);
+    } catch {
+      return undefined; // malformed percent-encoding ("%E0"): reported as an unresolved ref
+    }
+    const key = decoded.replace(/~1/g, "/").replace(/~0/g, "~");
+    if (!isObject(current) || !(key in current)) return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+/** ["paths", "/pets", "get"] -> "#/paths/~1pets/get" */
+export function toPointer(segments) {
+  return `#/${segments.map((s) => String(s).replace(/~/g, "~0").replace(/\//g, "~1")).join("/")}`;
+}
+
+/** Collect every non-local $ref string in a document. */
+function collectExternalRefs(node, out = new Set(), seen = new Set()) {
+  if (!isObject(node) || seen.has(node)) return out;
+  seen.add(node);
+
+  if (typeof node.$ref === "string" && !node.$ref.startsWith("#")) out.add(node.$ref);
+  for (const v of Object.values(node)) collectExternalRefs(v, out, seen);
+  return out;
+}
+
+/** "#/components/schemas/Pet" -> "Pet", "./pet.yaml" -> "pet" */
+export function refName(ref) {
+  if (!ref || typeof ref !== "string") return null;
+  const { docPart, fragment } = splitRef(ref);
+  const last = (fragment || docPart).split("/").filter(Boolean).pop() || "";
+  return last.replace(/\.(json|ya?ml)$/i, "") || null;
+}
+
+/** Resolve with loader's result, or reject once `ms` have passed */
+function withinBudget(promise, ms) {
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("external $ref time budget exhausted")), ms);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Build a resolver for one spec.
+ * - baseUrl: where the spec came from (needed for relative external refs)
+ * - loadDocument(url): async loader for external documents (skipped if absent)
+ * - loadBudgetMs: total time for loading external documents; the rest are skipped
+ *   so a chain of slow refs cannot outlast the serverless function timeout
+ */
+export async function createResolver(root, options = {}) {
+  const { baseUrl = null, loadDocument = null, maxDocuments = 25, loadBudgetMs = DEFAULT_LOAD_BUDGET_MS } = options;
+
+  const rootKey = baseUrl ? new URL(baseUrl).href.split("#")[0] : ROOT_DOCUMENT;
+  const documents = new Map([[rootKey, root]]);
+  const failed = new Set();
+  const errors = [];
+
+  if (loadDocument) {
+    const queue = [[root, rootKey]];
+    const deadline = Date.now() + loadBudgetMs;
+
+    while (queue.length) {
+      const [doc, docKey] = queue.shift();
+
+      for (const ref of collectExternalRefs(doc)) {
+        const target = documentKey(ref, docKey);
+        if (!target) {
+          errors.push(`Cannot resolve external $ref without a base URL: ${ref}`);
+          continue;
+        }
+        if (documents.has(target) || failed.has(target)) continue;
+
+        if (documents.size >= maxDocuments) {
+          failed.add(target);
+          errors.push(`External document limit (${maxDocuments}) reached; skipped ${target}`);
+          continue;
+        }
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          failed.add(target);
+          errors.push(`External $ref time budget (${Math.round(loadBudgetMs / 1000)} s) exhausted; skipped ${target}`);
+          continue;
+        }
+
+        try {
+          const loaded = await withinBudget(loadDocument(target), remaining);
+          documents.set(target, loaded);
+          queue.push([loaded, target]);
+        } catch (err) {
+          failed.add(target);
+          errors.push(`Failed to load external $ref ${target}: ${String(err?.message || err)}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Follow a chain of $refs starting at node.
+   * Returns { value, base, ref, circular, unresolved } where base is the key of the
+   * document value lives in (so nested local refs resolve against the right file).
+   */
+  function deref(node, base = rootKey) {
+    let current = node;
+    let at = base;
+    let firstRef = null;
+    const seen = new Set();
+
+    while (isObject(current) && typeof current.$ref === "string") {
+      const ref = current.$ref;
+      const target = documentKey(ref, at);
+      const id = `${target}#${splitRef(ref).fragment}`;
+
+      if (!firstRef) firstRef = ref;
+      if (seen.has(id)) return { value: null, base: at, ref: firstRef, circular: true, unresolved: false };
+      seen.add(id);
+
+      const doc = target ? documents.get(target) : undefined;
+      const value = doc === undefined ? undefined : readPointer(doc, splitRef(ref).fragment);
+      if (value === undefined) return { value: null, base: at, ref: firstRef, circular: false, unresolved: true };
+
+      current = value;
+      at = target;
+    }
+
+    return { value: current, base: at, ref: firstRef, circular: false, unresolved: false };
+  }
+
+  /** Stable identity for a ref (used to spot schemas that contain themselves). */
+  function refId(ref, base = rootKey) {
+    return `${documentKey(ref, base)}#${splitRef(ref).fragment}`;
+  }
+
+  return {
+    rootKey,
+    deref,
+    refId,
+    errors,
+    documentCount: documents.size
+  };
+}
+
+/** Short type label: "string", "array<Pet>", "Pet | Error", ... */
+function describeType(resolver, schema, base, depth = 0) {
+  const { value, base: at, ref, circular, unresolved } = resolver.deref(schema, base);
+  const name = refName(ref);
+
+  if (circular) return name ? `${name} (circular)` : "circular";
+  if (unresolved) return name ? `${name} (unresolved)` : "unresolved";
+  if (!isObject(value)) return "any";
+  if (name && depth > 0) return name;
+
+  if (value.type === "array" || (!value.type && value.items)) {
+    const inner = depth < 3 && value.items ? describeType(resolver, value.items, at, depth + 1) : "any";
+    return `array<${inner}>`;
+  }
+
+  const variants = value.oneOf || value.anyOf;
+  if (Array.isArray(variants) && variants.length) {
+    return variants.map((v) => (depth < 3 ? describeType(resolver, v, at, depth + 1) : "any")).join(" | ");
+  }
+
+  if (Array.isArray(value.allOf) && value.allOf.length === 1 && depth < 3) {
+    return describeType(resolver, value.allOf[0], at, depth + 1);
+  }
+
+  if (Array.isArray(value.type)) return value.type.join(" | ");
+  if (value.type) return value.type;
+  if (value.properties || value.allOf || value.additionalProperties) return "object";
+  return "any";
+}
+
+/**
+ * Flatten allOf members into one property/required set.
+ * Cycles through allOf are cut using the refs already on the stack.
+ */
+function collectProperties(resolver, value, base, stack, acc) {
+  if (!isObject(value)) return acc;
+
+  if (Array.isArray(value.allOf)) {
+    for (const member of value.allOf) {
+      const ref = isObject(member) && typeof member.$ref === "string" ? resolver.refId(member.$ref, base) : null;
+      if (ref && stack.has(ref)) {
+        acc.circular = true;
+        continue;
+      }
+
+      const resolved = resolver.deref(member, base);
+      if (resolved.circular) acc.circular = true;
+      if (!resolved.value) continue;
+
+      if (ref) stack.add(ref);
+      collectProperties(resolver, resolved.value, resolved.base, stack, acc);
+      if (ref) stack.delete(ref);
+    }
+  }
+
+  if (isObject(value.properties)) {
+    for (const [name, prop] of Object.entries(value.properties)) {
+      if (!acc.properties.has(name)) acc.properties.set(name, { schema: prop, base });
+    }
+  }
+  if (Array.isArray(value.required)) {
+    for (const r of value.required) acc.required.add(r);
+  }
+
+  return acc;
+}
+
+/**
+ * Summarize a schema: top-level properties (name, type, required, enum, format),
+ * required list and, for arrays, a one-level summary of the item schema.
+ */
+export function summarizeSchema(resolver, schema, base = resolver.rootKey, depth = 0) {
+  if (!isObject(schema)) return null;
+
+  const { value, base: at, ref, circular, unresolved } = resolver.deref(schema, base);
+  const name = refName(ref) || (isObject(value) && typeof value.title === "string" ? value.title : null);
+
+  if (circular || unresolved || !isObject(value)) {
+    return { name, ref: ref || null, type: describeType(resolver, schema, base), circular, unresolved, properties: [], required: [] };
+  }
+
+  const stack = new Set(ref ? [resolver.refId(ref, base)] : []);
+  const acc = collectProperties(resolver, value, at, stack, {
+    properties: new Map(),
+    required: new Set(),
+    circular: false
+  });
+
+  const entries = Array.from(acc.properties.entries());
+  const properties = entries.slice(0, MAX_PROPERTIES).map(([propName, { schema: prop, base: propBase }]) => {
+    const resolved = resolver.deref(prop, propBase).value;
+    return {
+      name: propName,
+      type: describeType(resolver, prop, propBase, 1),
+      required: acc.required.has(propName),
+      format: isObject(resolved) && resolved.format ? resolved.format : null,
+      enum: isObject(resolved) && Array.isArray(resolved.enum) ? resolved.enum.slice(0, MAX_ENUM_VALUES) : null
+    };
+  });
+
+  const summary = {
+    name,
+    ref: ref || null,
+    type: describeType(resolver, schema, base),
+    circular: acc.circular,
+    unresolved: false,
+    required: Array.from(acc.required),
+    properties
+  };
+
+  if (entries.length > MAX_PROPERTIES) summary.truncated_property_count = entries.length - MAX_PROPERTIES;
+  if (Array.isArray(value.enum)) summary.enum = value.enum.slice(0, MAX_ENUM_VALUES);
+
+  const isArray = value.type === "array" || (!value.type && value.items);
+  if (isArray && value.items && depth < 1) {
+    summary.items = summarizeSchema(resolver, value.items, at, depth + 1);
+  }
+
+  return summary;
+}
+
+/**
+ * Flat list of property paths reachable from a schema, e.g. "data[].email".
+ * Walks allOf/oneOf/anyOf and array items; stops at cycles, maxDepth and maxFields.
+ * Returns [{ path, name, type, required }].
+ */
+export function schemaFieldPaths(resolver, schema, base = resolver.rootKey, options = {}) {
+  const { maxDepth = 4, maxFields = 400 } = options;
+  const fields = [];
+  const seen = new Set();
+
+  const walk = (node, at, prefix, depth, stack) => {
+    if (fields.length >= maxFields || !isObject(node)) return;
+
+    const { value, base: valueBase, ref, circular, unresolved } = resolver.deref(node, at);
+    if (circular || unresolved || !isObject(value)) return;
+
+    const id = ref ? resolver.refId(ref, at) : null;
+    if (id && stack.has(id)) return;
+    if (id) stack.add(id);
+
+    if ((value.type === "array" || (!value.type && value.items)) && value.items) {
+      walk(value.items, valueBase, `${prefix}[]`, depth, stack);
+    }
+
+    for (const variant of [...(value.oneOf || []), ...(value.anyOf || [])]) {
+      walk(variant, valueBase, prefix, depth, stack);
+    }
+
+    const acc = collectProperties(resolver, value, valueBase, new Set(stack), {
+      properties: new Map(),
+      required: new Set(),
+      circular: false
+    });
+
+    for (const [name, { schema: prop, base: propBase }] of acc.properties) {
+      if (fields.length >= maxFields) break;
+      const path = prefix ? `${prefix}.${name}` : name;
+      if (seen.has(path)) continue;
+      seen.add(path);
+
+      fields.push({ path, name, type: describeType(resolver, prop, propBase, 1), required: acc.required.has(name) });
+      if (depth < maxDepth) walk(prop, propBase, path, depth + 1, stack);
+    }
+
+    if (id) stack.delete(id);
+  };
+
+  walk(schema, base, "", 1, new Set());
+  return fields;
+}
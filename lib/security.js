@@ -0,0 +1,152 @@
+/**
+ * Security requirement resolution.
+ *
+ * OpenAPI semantics:
+ * - op.security (even []) overrides the global `security`
+ * - the array is a list of alternatives (OR); each entry names schemes that
+ *   must all be satisfied together (AND)
+ * - an empty entry `{}` makes authentication optional
+ *
+ * Schemes are expected in OpenAPI 3.x shape (see securitySchemes() in spec_version.js).
+ */
+
+const SCOPED_TYPES = new Set(["oauth2", "openIdConnect"]);
+
+/** Flow details for an oauth2 / openIdConnect scheme */
+export function describeFlows(def) {
+  if (!def || typeof def !== "object") return [];
+
+  if (def.type === "openIdConnect") {
+    return [
+      {
+        flow: "openIdConnect",
+        authorization_url: null,
+        token_url: null,
+        refresh_url: null,
+        openid_connect_url: def.openIdConnectUrl || null,
+        scopes: []
+      }
+    ];
+  }
+
+  const flows = def.flows && typeof def.flows === "object" ? def.flows : {};
+  return Object.keys(flows)
+    .sort()
+    .map((flow) => ({
+      flow,
+      authorization_url: flows[flow]?.authorizationUrl || null,
+      token_url: flows[flow]?.tokenUrl || null,
+      refresh_url: flows[flow]?.refreshUrl || null,
+      openid_connect_url: null,
+      scopes: Object.keys(flows[flow]?.scopes || {}).sort()
+    }));
+}
+
+/**
+ * Effective security for one operation.
+ * Returns:
+ * - source: "operation" | "global" | "none"
+ * - auth_required: true | false (explicitly public or optional) | null (not declared)
+ * - optional: an anonymous alternative exists
+ * - alternatives: [{ schemes: [{ name, type, scopes }] }]  (OR of ANDs)
+ * - scopes: union of scopes across alternatives
+ * - unknown_schemes: referenced names missing from the scheme definitions
+ */
+export function resolveOperationSecurity(spec, op, schemes) {
+  let requirement = null;
+  let source = "none";
+
+  if (Array.isArray(op?.security)) {
+    requirement = op.security;
+    source = "operation";
+  } else if (Array.isArray(spec?.security)) {
+    requirement = spec.security;
+    source = "global";
+  }
+
+  if (!requirement) {
+    return { source, auth_required: null, optional: false, alternatives: [], scopes: [], unknown_schemes: [] };
+  }
+
+  const unknown = new Set();
+  const scopes = new Set();
+  let optional = false;
+
+  const alternatives = requirement
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => {
+      const names = Object.keys(entry);
+      if (!names.length) optional = true;
+
+      return {
+        schemes: names.map((name) => {
+          const def = schemes?.[name];
+          if (!def) unknown.add(name);
+
+          const entryScopes = Array.isArray(entry[name]) ? entry[name].map(String) : [];
+          for (const s of entryScopes) scopes.add(s);
+
+          return { name, type: def?.type || "unknown", scopes: entryScopes };
+        })
+      };
+    })
+    .filter((alt) => alt.schemes.length);
+
+  return {
+    source,
+    auth_required: alternatives.length > 0 && !optional,
+    optional,
+    alternatives,
+    scopes: Array.from(scopes).sort(),
+    unknown_schemes: Array.from(unknown).sort()
+  };
+}
+
+/**
+ * Scope -> endpoints index, including scopes that are defined but unused
+ * and scopes that endpoints require but no flow defines.
+ */
+export function buildScopeIndex(endpoints, schemes) {
+  const index = new Map();
+
+  const entryFor = (scheme, scope) => {
+    const key = `${scheme}\u0000${scope}`;
+    if (!index.has(key)) {
+      index.set(key, { scope, scheme, description: null, defined: false, endpoints: [] });
+    }
+    return index.get(key);
+  };
+
+  for (const [name, def] of Object.entries(schemes || {})) {
+    if (!SCOPED_TYPES.has(def?.type)) continue;
+    for (const flow of Object.values(def.flows || {})) {
+      for (const [scope, description] of Object.entries(flow?.scopes || {})) {
+        const entry = entryFor(name, scope);
+        entry.defined = true;
+        if (!entry.description && typeof description === "string") entry.description = description;
+      }
+    }
+  }
+
+  for (const ep of endpoints) {
+    for (const alt of ep.security?.alternatives || []) {
+      for (const s of alt.schemes) {
+        if (!SCOPED_TYPES.has(s.type)) continue;
+        for (const scope of s.scopes) {
+          const entry = entryFor(s.name, scope);
+          const label = `${ep.method} ${ep.path}`;
+          if (!entry.endpoints.includes(label)) entry.endpoints.push(label);
+        }
+      }
+    }
+  }
+
+  // openIdConnect scopes are not declared in the spec, so only flag missing oauth2 ones
+  for (const entry of index.values()) {
+    if (!entry.defined && schemes?.[entry.scheme]?.type === "openIdConnect") entry.defined = null;
+  }
+
+  return Array.from(index.values()).sort(
+    (a, b) => a.scope.localeCompare(b.scope) || a.scheme.localeCompare(b.scheme)
+  );
+}
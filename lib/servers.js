@@ -0,0 +1,254 @@
+/**
+ * Server URLs: variable expansion, path/operation overrides, environment and region.
+ *
+ * Each declared server (root `servers`, path-item `servers`, operation `servers`;
+ * Swagger 2.0 schemes/host/basePath) becomes an entry:
+ * {
+ *   url          the declared template ("https://{region}.api.vendor.com/{version}")
+ *   default_url  every variable replaced by its default
+ *   description, level (root | path | operation), scope (null, "/path" or "GET /path"), pointer,
+ *   variables    [{ name, default, enum, description }]
+ *   expanded     [{ url, values, environment, region }] one per enum combination (capped)
+ *   environment  of the default URL; regions: regions across the expansions
+ * }
+ * Environment: production | sandbox | staging | development | mock, from host
+ * labels ("api.sandbox.vendor.com", "stg-api") and then the server description.
+ * Region: host labels or variable values naming a region ("eu", "us1", "apac").
+ *
+ * operationServers() tells which servers apply to one operation (operation
+ * servers win over path servers, which win over the root ones).
+ */
+
+import { REGIONS } from "./constraints.js";
+import { toPointer } from "./schema_resolver.js";
+import { baseUrls, detectSpecVersion } from "./spec_version.js";
+
+const MAX_EXPANSIONS = 24;
+const VARIABLE = /\{([^{}]+)\}/g;
+const LABEL_SPLIT = /[.\-_/:]/;
+
+/** First match wins, so "sandbox" beats a "test" label further down the host */
+const ENVIRONMENTS = [
+  { environment: "mock", labels: ["mock", "mocks", "virtserver", "prism", "stoplight"] },
+  { environment: "sandbox", labels: ["sandbox", "sbx", "test", "testing", "demo", "trial", "playground"] },
+  { environment: "staging", labels: ["staging", "stage", "stg", "uat", "qa", "preprod", "preproduction"] },
+  { environment: "development", labels: ["dev", "develop", "development", "local", "localhost"] }
+];
+const DESCRIPTION_ENVIRONMENTS = [
+  { environment: "mock", re: /\bmock\b/i },
+  { environment: "sandbox", re: /\bsandbox\b|\btest(?:ing)? (?:server|environment)\b|\bdemo\b|\btrial\b/i },
+  { environment: "staging", re: /\bstaging\b|\bpre-?prod(?:uction)?\b|\buat\b/i },
+  { environment: "development", re: /\bdevelopment\b|\blocal(?:host)?\b/i }
+];
+const NON_PRODUCTION = new Set(["sandbox", "staging", "development", "mock"]);
+
+/** "api.eu1.example.com" -> ["api", "eu", "example", "com"]; relative URLs are split as they are */
+export function hostLabels(url) {
+  let host = url;
+  try {
+    host = new URL(url).host;
+  } catch {
+    // relative or still-templated base URL: use as is
+  }
+  return host.toLowerCase().split(LABEL_SPLIT).filter(Boolean).map((label) => label.replace(/\d+$/, ""));
+}
+
+/** Region code for a label: an exact code first ("apac", "de"), then the region hints */
+function labelRegion(label) {
+  const exact = REGIONS.find((r) => r.code.toLowerCase() === label);
+  if (exact) return exact.code;
+  return REGIONS.find((r) => r.hints.includes(label))?.code || null;
+}
+
+function classify(url, description, values) {
+  const labels = hostLabels(url);
+  let environment = ENVIRONMENTS.find((e) => labels.some((l) => e.labels.includes(l)))?.environment || null;
+  if (!environment && /^\w+:\/\/(?:127\.0\.0\.1|\[::1\])/.test(url)) environment = "development";
+  if (!environment && description) {
+    environment = DESCRIPTION_ENVIRONMENTS.find((e) => e.re.test(description))?.environment || null;
+  }
+
+  const regionLabel = [...labels, ...Object.values(values).flatMap((v) => String(v).toLowerCase().split(LABEL_SPLIT))]
+    .map((l) => l.replace(/\d+$/, ""))
+    .find((l) => labelRegion(l));
+  return { environment: environment || "production", region: regionLabel ? labelRegion(regionLabel) : null };
+}
+
+function substitute(template, values) {
+  return template.replace(VARIABLE, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/** Server variables in template order, then any declared but unused ones */
+function serverVariables(server) {
+  const declared = server.variables && typeof server.variables === "object" ? server.variables : {};
+  const used = Array.from(String(server.url).matchAll(VARIABLE), (m) => m[1]);
+  const names = Array.from(new Set([...used, ...Object.keys(declared)]));
+
+  return names.map((name) => {
+    const v = declared[name] && typeof declared[name] === "object" ? declared[name] : null;
+    const values = Array.isArray(v?.enum) ? v.enum.filter((x) => typeof x === "string" || typeof x === "number").map(String) : [];
+    return {
+      name,
+      default: v?.default !== undefined && v?.default !== null ? String(v.default) : null,
+      enum: values.length ? values : null,
+      description: typeof v?.description === "string" ? v.description.split("\n")[0] : null,
+      declared: Boolean(v)
+    };
+  });
+}
+
+/** Every enum combination (default first), capped at MAX_EXPANSIONS */
+function combinations(variables) {
+  let combos = [{}];
+  for (const v of variables) {
+    const options = v.enum ? [v.default, ...v.enum.filter((x) => x !== v.default)].filter((x) => x !== null) : [v.default];
+    const next = [];
+    for (const combo of combos) {
+      for (const option of options) {
+        if (next.length >= MAX_EXPANSIONS) break;
+        next.push(option === null ? combo : { ...combo, [v.name]: option });
+      }
+    }
+    combos = next;
+  }
+  return combos;
+}
+
+function serverEntry(server, level, scope, segments) {
+  const url = server.url;
+  const description = typeof server.description === "string" ? server.description.split("\n")[0] : null;
+  const variables = serverVariables(server);
+  const defaults = Object.fromEntries(variables.filter((v) => v.default !== null).map((v) => [v.name, v.default]));
+  const default_url = substitute(url, defaults);
+
+  const expanded = combinations(variables).map((values) => {
+    const expandedUrl = substitute(url, values);
+    return { url: expandedUrl, values, ...classify(expandedUrl, description, values) };
+  });
+  const total = variables.reduce((n, v) => n * (v.enum ? new Set([v.default, ...v.enum].filter((x) => x !== null)).size : 1), 1);
+
+  return {
+    url,
+    default_url,
+    description,
+    level,
+    scope,
+    pointer: toPointer(segments),
+    variables: variables.map(({ declared, ...v }) => v),
+    expanded,
+    expansions_truncated: total > expanded.length,
+    environment: classify(default_url, description, defaults).environment,
+    regions: Array.from(new Set(expanded.map((e) => e.region).filter(Boolean))),
+    undeclared_variables: variables.filter((v) => !v.declared).map((v) => v.name),
+    variables_without_default: variables.filter((v) => v.declared && v.default === null).map((v) => v.name)
+  };
+}
+
+function serverList(node) {
+  return Array.isArray(node?.servers) ? node.servers.filter((s) => s && typeof s === "object" && typeof s.url === "string") : [];
+}
+
+/**
+ * Root servers (or Swagger 2.0 base URLs) followed by path- and operation-level
+ * overrides. `operations` comes from listOperations().
+ */
+export function extractServers(openapi, operations, specUrl) {
+  if (detectSpecVersion(openapi).format === "swagger") {
+    return baseUrls(openapi, specUrl).map((url) => serverEntry({ url }, "root", null, ["host"]));
+  }
+
+  const entries = serverList(openapi).map((server, i) => serverEntry(server, "root", null, ["servers", i]));
+  const seenPaths = new Set();
+  for (const { method, path, pathItem, op } of operations) {
+    if (!seenPaths.has(path)) {
+      seenPaths.add(path);
+      serverList(pathItem).forEach((server, i) => entries.push(serverEntry(server, "path", path, ["paths", path, "servers", i])));
+    }
+    serverList(op).forEach((server, i) =>
+      entries.push(serverEntry(server, "operation", `${method} ${path}`, ["paths", path, method.toLowerCase(), "servers", i]))
+    );
+  }
+  return entries;
+}
+
+/**
+ * Servers that apply to an operation: { level, base_url, base_urls, pointer }.
+ * base_url is the default URL of the first applicable server (null when none is declared).
+ */
+export function operationServers(entries, method, path) {
+  const scoped = (level, scope) => entries.filter((e) => e.level === level && e.scope === scope);
+  const [level, applicable] = [
+    ["operation", scoped("operation", `${method} ${path}`)],
+    ["path", scoped("path", path)],
+    ["root", scoped("root", null)]
+  ].find(([, list]) => list.length) || ["root", []];
+
+  return {
+    level,
+    base_url: applicable[0]?.default_url || null,
+    base_urls: applicable.map((e) => e.default_url),
+    pointer: applicable[0]?.pointer || null
+  };
+}
+
+/**
+ * API-wide rollup: { entries, environments, regions, sandbox_available, overrides, notes }.
+ * environments: [{ environment, urls }]; regions: [{ region, urls }].
+ */
+export function summarizeServers(entries, endpoints) {
+  const byEnvironment = new Map();
+  const byRegion = new Map();
+  for (const entry of entries) {
+    for (const e of entry.expanded) {
+      if (!byEnvironment.has(e.environment)) byEnvironment.set(e.environment, new Set());
+      byEnvironment.get(e.environment).add(e.url);
+      if (!e.region) continue;
+      if (!byRegion.has(e.region)) byRegion.set(e.region, new Set());
+      byRegion.get(e.region).add(e.url);
+    }
+  }
+
+  const environments = Array.from(byEnvironment, ([environment, urls]) => ({ environment, urls: Array.from(urls) }));
+  const regions = Array.from(byRegion, ([region, urls]) => ({ region, urls: Array.from(urls) }));
+  const sandbox_available = environments.some((e) => NON_PRODUCTION.has(e.environment) && e.environment !== "development");
+  const overridden = endpoints.filter((ep) => ep.servers.level !== "root");
+
+  const notes = [];
+  if (!entries.length) {
+    notes.push("No servers declared; base URLs (production, sandbox, regions) must come from the vendor's docs.");
+  } else if (!sandbox_available) {
+    notes.push("No sandbox, test or staging server declared; ask the vendor whether a test environment exists.");
+  }
+  if (regions.length > 1) {
+    notes.push(`Servers are offered in ${regions.length} regions (${regions.map((r) => r.region).join(", ")}); confirm which region stores your data.`);
+  } else if (regions.length === 1) {
+    notes.push(`All region-specific servers are in ${regions[0].region}.`);
+  } else if (entries.length) {
+    notes.push("Server URLs carry no region; data residency is usually contractual, confirm with the vendor.");
+  }
+  for (const entry of entries) {
+    if (entry.undeclared_variables.length) {
+      notes.push(`${entry.url} uses undeclared variable(s) ${entry.undeclared_variables.map((n) => `{${n}}`).join(", ")}; the URL cannot be fully expanded.`);
+    }
+    if (entry.variables_without_default.length) {
+      notes.push(`${entry.url}: variable(s) ${entry.variables_without_default.join(", ")} have no default.`);
+    }
+  }
+  if (overridden.length) {
+    notes.push(`${overridden.length} operation(s) use path- or operation-level servers instead of the root base URL.`);
+  }
+
+  return {
+    entries,
+    environments,
+    regions,
+    sandbox_available,
+    overrides: overridden.map((ep) => ({
+      endpoint: `${ep.method} ${ep.path}`,
+      level: ep.servers.level,
+      base_url: ep.servers.base_url,
+      pointer: ep.servers.pointer
+    })),
+    notes
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * Spec discovery for when a user pastes a docs page instead of a spec URL.
+ *
+ * Order of attempts (first spec found wins):
+ * 1) The URL itself (it may be a spec without a spec-looking name)
+ * 2) References in the page HTML: Swagger UI config (url/urls/configUrl, incl.
+ *    swagger-initializer.js), Redoc/RapiDoc/Elements spec attributes,
+ *    <link rel="service-desc|alternate"> and spec-looking <a href> links
+ * 3) Well-known locations on the page's origin (/openapi.json, /v3/api-docs, ...)
+ *
+ * Every fetch goes through the hardened fetcher; every attempt is recorded in
+ * `steps` so the caller can show how the spec was found (or why not).
+ */
+
+import { SpecSourceError } from "./spec_source.js";
+import { fetchSpec, fetchText, parseFetchedSpec } from "./spec_fetcher.js";
+
+export const WELL_KNOWN_SPEC_PATHS = [
+  "/openapi.json",
+  "/openapi.yaml",
+  "/swagger.json",
+  "/swagger.yaml",
+  "/v3/api-docs",
+  "/v2/api-docs",
+  "/api-docs",
+  "/swagger/v1/swagger.json",
+  "/api/openapi.json",
+  "/docs/openapi.json",
+  "/.well-known/openapi",
+  "/.well-known/openapi.json"
+];
+
+const MAX_ATTEMPTS = 20;
+const ATTEMPT_TIMEOUT_MS = 4000;
+const TOTAL_BUDGET_MS = 15000;
+const SPEC_LIKE = /openapi|swagger|api-docs|\.(json|ya?ml)(\?|#|$)/i;
+
+function absolute(href, base) {
+  try {
+    const u = new URL(href.replace(/&amp;/g, "&"), base);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`, "i"));
+  return m ? m[2] : null;
+}
+
+/**
+ * Spec candidates referenced by an HTML page (or a Swagger UI initializer script).
+ * Returns [{ url, via }] in priority order, de-duplicated.
+ */
+export function findSpecReferences(html, pageUrl) {
+  const found = [];
+  const add = (href, via) => {
+    const url = href ? absolute(href, pageUrl) : null;
+    if (url && !found.some((c) => c.url === url)) found.push({ url, via });
+  };
+
+  // Swagger UI: SwaggerUIBundle({ url: "...", urls: [{ url: "..." }], configUrl: "..." })
+  const uiConfigs = html.match(/SwaggerUI(?:Bundle)?\s*\(\s*\{[\s\S]{0,4000}?\}\s*\)/g) || [];
+  for (const block of uiConfigs) {
+    for (const m of block.matchAll(/\burl\s*:\s*(["'`])([^"'`]+)\1/g)) add(m[2], "swagger-ui config");
+    for (const m of block.matchAll(/\bconfigUrl\s*:\s*(["'`])([^"'`]+)\1/g)) add(m[2], "swagger-ui configUrl");
+  }
+
+  // Redoc / RapiDoc / Stoplight Elements
+  for (const m of html.matchAll(/<(redoc|rapi-doc|elements-api)\b[^>]*>/gi)) {
+    add(attr(m[0], "spec-url") || attr(m[0], "apiDescriptionUrl"), `<${m[1].toLowerCase()}> element`);
+  }
+  for (const m of html.matchAll(/Redoc\.init\(\s*(["'`])([^"'`]+)\1/g)) add(m[2], "Redoc.init");
+
+  // <link rel="service-desc" href> (RFC 8631) and JSON/YAML alternates
+  for (const m of html.matchAll(/<link\b[^>]*>/gi)) {
+    const rel = (attr(m[0], "rel") || "").toLowerCase();
+    const type = (attr(m[0], "type") || "").toLowerCase();
+    const href = attr(m[0], "href");
+    if (!href) continue;
+    if (/service-desc|openapi|swagger/.test(rel) || (rel === "alternate" && /json|yaml/.test(type))) {
+      add(href, `<link rel="${rel}">`);
+    }
+  }
+
+  // Plain links that look like a spec download
+  for (const m of html.matchAll(/<a\b[^>]*\bhref\s*=\s*(["'])(.*?)\1/gi)) {
+    if (SPEC_LIKE.test(m[2])) add(m[2], "<a href> link");
+  }
+
+  // Swagger UI v4+ keeps its config in a separate initializer script
+  for (const m of html.matchAll(/<script\b[^>]*\bsrc\s*=\s*(["'])([^"']*swagger-(?:initializer|config)[^"']*)\1/gi)) {
+    add(m[2], "swagger-ui initializer script");
+  }
+
+  return found;
+}
+
+function describeError(err) {
+  if (err instanceof SpecSourceError) return { outcome: err.code, detail: err.message };
+  return { outcome: "error", detail: String(err?.message || err) };
+}
+
+/**
+ * Try to find a spec starting from a docs page URL.
+ * Returns { found, page_url, spec_url, via, steps, openapi, source }.
+ */
+export async function discoverSpec(pageUrl, options = {}) {
+  const { maxAttempts = MAX_ATTEMPTS, timeoutMs = ATTEMPT_TIMEOUT_MS, budgetMs = TOTAL_BUDGET_MS } = options;
+  const deadline = Date.now() + budgetMs;
+  const steps = [];
+  const tried = new Set();
+  let attempts = 0;
+
+  // Every fetch spends one attempt; returns its timeout, or null once the budget is gone
+  const spend = () => {
+    const remaining = deadline - Date.now();
+    if (attempts >= maxAttempts || remaining <= 0) return null;
+    attempts += 1;
+    return Math.min(timeoutMs, remaining);
+  };
+
+  const trySpec = async (url, via) => {
+    if (tried.has(url)) return null;
+    const attemptTimeout = spend();
+    if (attemptTimeout === null) return null;
+    tried.add(url);
+
+    try {
+      const result = await fetchSpec(url, { timeoutMs: attemptTimeout });
+      steps.push({ action: "fetch_spec", url, via, outcome: "found", detail: null });
+      return { ...result, url, via };
+    } catch (err) {
+      steps.push({ action: "fetch_spec", url, via, ...describeError(err) });
+      return null;
+    }
+  };
+
+  const done = (hit) => ({
+    found: true,
+    page_url: pageUrl,
+    spec_url: hit.url,
+    via: hit.via,
+    steps,
+    openapi: hit.openapi,
+    source: { ...hit.source, discovered_from: pageUrl }
+  });
+
+  // 1) The page itself, keeping its HTML for step 2
+  let page = null;
+  try {
+    page = await fetchText(pageUrl, { timeoutMs: spend() });
+    steps.push({ action: "fetch_page", url: pageUrl, via: "user_request", outcome: "ok", detail: page.content_type });
+  } catch (err) {
+    steps.push({ action: "fetch_page", url: pageUrl, via: "user_request", ...describeError(err) });
+  }
+
+  // Not HTML: parse the response already in hand instead of fetching it again
+  if (page && !/html/.test(page.content_type || "") && !page.text.trimStart().startsWith("<")) {
+    const via = "user_request (spec without a spec-like name)";
+    try {
+      const direct = parseFetchedSpec(page, pageUrl);
+      steps.push({ action: "parse_spec", url: page.final_url, via, outcome: "found", detail: null });
+      return done({ ...direct, url: page.final_url, via });
+    } catch (err) {
+      steps.push({ action: "parse_spec", url: page.final_url, via, ...describeError(err) });
+    }
+  }
+  tried.add(pageUrl);
+  if (page) tried.add(page.final_url);
+
+  // 2) References inside the HTML (one level of initializer/config indirection)
+  if (page) {
+    const candidates = findSpecReferences(page.text, page.final_url);
+
+    for (const candidate of candidates) {
+      if (/initializer|configUrl/.test(candidate.via)) {
+        const nested = await expandIndirection(candidate, page.final_url, steps, tried, spend);
+        for (const inner of nested) {
+          const hit = await trySpec(inner.url, inner.via);
+          if (hit) return done(hit);
+        }
+        continue;
+      }
+
+      const hit = await trySpec(candidate.url, candidate.via);
+      if (hit) return done(hit);
+    }
+  }
+
+  // 3) Well-known locations on the origin
+  let origin = null;
+  try {
+    origin = new URL(page?.final_url || pageUrl).origin;
+  } catch {
+    origin = null;
+  }
+
+  if (origin) {
+    for (const path of WELL_KNOWN_SPEC_PATHS) {
+      const hit = await trySpec(`${origin}${path}`, "well-known location");
+      if (hit) return done(hit);
+    }
+  }
+
+  if (attempts >= maxAttempts || Date.now() >= deadline) {
+    steps.push({ action: "stop", url: null, via: null, outcome: "budget_exhausted", detail: `${attempts} attempt(s)` });
+  }
+
+  return { found: false, page_url: pageUrl, spec_url: null, via: null, steps, openapi: null, source: null };
+}
+
+/**
+ * Swagger UI initializer scripts and configUrl JSON point at the real spec URL(s).
+ * Swagger UI resolves those relative to the page, not to the script/config.
+ * The fetch spends one attempt from discovery's budget (`spend`); the URLs it
+ * yields are tried through trySpec, which spends the same budget.
+ */
+async function expandIndirection(candidate, pageUrl, steps, tried, spend) {
+  if (tried.has(candidate.url)) return [];
+  const attemptTimeout = spend();
+  if (attemptTimeout === null) return [];
+  tried.add(candidate.url);
+
+  try {
+    const fetched = await fetchText(candidate.url, { timeoutMs: attemptTimeout });
+    steps.push({ action: "fetch_config", url: candidate.url, via: candidate.via, outcome: "ok", detail: null });
+
+    if (/configUrl/.test(candidate.via)) {
+      const config = JSON.parse(fetched.text);
+      const urls = [config?.url, ...(Array.isArray(config?.urls) ? config.urls.map((u) => u?.url) : [])];
+      return urls
+        .map((u) => (typeof u === "string" ? absolute(u, pageUrl) : null))
+        .filter(Boolean)
+        .map((url) => ({ url, via: "swagger-ui configUrl" }));
+    }
+
+    return findSpecReferences(fetched.text, pageUrl).filter((c) => !/initializer/.test(c.via));
+  } catch (err) {
+    steps.push({ action: "fetch_config", url: candidate.url, via: candidate.via, ...describeError(err) });
+    return [];
+  }
+}
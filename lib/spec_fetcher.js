@@ -0,0 +1,355 @@
+/**
+ * Hardened spec fetching shared by the tools.
+ *
+ * - Only http(s) URLs
+ * - SSRF guard: private, loopback, link-local, multicast and reserved addresses
+ *   are refused, checked at DNS lookup time for every hop (incl. redirects)
+ * - Redirects are followed manually, up to a limit
+ * - Byte cap (also applied after decompression) and an overall timeout
+ * - Content-type/body sniffing so an HTML page is reported as "not a spec"
+ * - Failures are SpecSourceError with a stable code (see lib/spec_source.js)
+ *
+ * Limits can be configured per call or via env:
+ *   OPAL_SPEC_MAX_BYTES, OPAL_SPEC_TIMEOUT_MS, OPAL_SPEC_MAX_REDIRECTS,
+ *   OPAL_SPEC_ALLOW_PRIVATE_HOSTS=1 (local development only)
+ */
+
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import zlib from "node:zlib";
+import { SpecSourceError, assertSpec, detectTextFormat, parseSpecText } from "./spec_source.js";
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** Effective limits: explicit options > env > defaults */
+export function fetchLimits(options = {}) {
+  return {
+    maxBytes: options.maxBytes ?? envNumber("OPAL_SPEC_MAX_BYTES", DEFAULT_MAX_BYTES),
+    timeoutMs: options.timeoutMs ?? envNumber("OPAL_SPEC_TIMEOUT_MS", DEFAULT_TIMEOUT_MS),
+    maxRedirects: options.maxRedirects ?? envNumber("OPAL_SPEC_MAX_REDIRECTS", DEFAULT_MAX_REDIRECTS),
+    allowPrivate: options.allowPrivate ?? process.env.OPAL_SPEC_ALLOW_PRIVATE_HOSTS === "1"
+  };
+}
+
+function ipv4ToInt(ip) {
+  return ip.split(".").reduce((acc, part) => (acc << 8) + Number(part), 0) >>> 0;
+}
+
+function inIpv4Range(ip, base, bits) {
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(base) & mask);
+}
+
+const BLOCKED_IPV4 = [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local (incl. cloud metadata)
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // documentation
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4] // reserved + broadcast
+];
+
+/** Expand an IPv6 address to 8 numeric hextets (handles "::" and a dotted IPv4 tail) */
+function ipv6Hextets(ip) {
+  let addr = ip.split("%")[0].toLowerCase();
+
+  const v4 = addr.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = ipv4ToInt(v4[1]);
+    addr = addr.slice(0, -v4[1].length) + `${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = addr.includes("::") ? addr.split("::") : [addr, null];
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  const fill = tail === null ? [] : new Array(8 - headParts.length - tailParts.length).fill("0");
+
+  return [...headParts, ...fill, ...tailParts].map((h) => parseInt(h || "0", 16));
+}
+
+/** True for addresses a user-supplied URL must never reach */
+export function isBlockedAddress(ip) {
+  const family = net.isIP(ip);
+
+  if (family === 4) return BLOCKED_IPV4.some(([base, bits]) => inIpv4Range(ip, base, bits));
+  if (family !== 6) return true; // not an IP at all: refuse rather than guess
+
+  const h = ipv6Hextets(ip);
+  // IPv4 address carried in two hextets (the last two unless told otherwise)
+  const embeddedV4 = (hi = h[6], lo = h[7]) => `${hi >> 8}.${hi & 0xff}.${lo >> 8}.${lo & 0xff}`;
+
+  if (h.every((x) => x === 0)) return true; // ::
+  if (h.slice(0, 7).every((x) => x === 0) && h[7] === 1) return true; // ::1
+  if (h.slice(0, 5).every((x) => x === 0) && h[5] === 0xffff) return isBlockedAddress(embeddedV4()); // ::ffff:a.b.c.d
+  if (h.slice(0, 6).every((x) => x === 0)) return isBlockedAddress(embeddedV4()); // IPv4-compatible ::a.b.c.d
+  if (h[0] === 0x64 && h[1] === 0xff9b) return isBlockedAddress(embeddedV4()); // NAT64 64:ff9b::/96 and 64:ff9b:1::/48
+  if (h[0] === 0x2002) return isBlockedAddress(embeddedV4(h[1], h[2])); // 6to4 2002:AABB:CCDD::/48
+  if ((h[0] & 0xfe00) === 0xfc00) return true; // unique local fc00::/7
+  if ((h[0] & 0xffc0) === 0xfe80) return true; // link-local fe80::/10
+  if ((h[0] & 0xff00) === 0xff00) return true; // multicast
+  if (h[0] === 0x2001 && h[1] === 0x0db8) return true; // documentation
+  return false;
+}
+
+/** dns.lookup replacement that refuses blocked addresses (used by http.request) */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(
+        new SpecSourceError("blocked_address", `Refusing to fetch ${hostname}: resolves to non-public address ${blocked.address}.`)
+      );
+    }
+
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function parseUrl(raw) {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw new SpecSourceError("invalid_url", `Not a valid URL: ${raw}`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new SpecSourceError("invalid_url", `Only http(s) URLs are supported: ${raw}`);
+  }
+  if (url.username || url.password) {
+    throw new SpecSourceError("invalid_url", "URLs with embedded credentials are not supported.");
+  }
+  return url;
+}
+
+function decoderFor(encoding) {
+  switch ((encoding || "").toLowerCase()) {
+    case "gzip":
+    case "x-gzip":
+      return zlib.createGunzip();
+    case "deflate":
+      return zlib.createInflate();
+    case "br":
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+/** One request/response hop; resolves { status, headers, body? } */
+function requestOnce(url, limits, deadline, readBody) {
+  return new Promise((resolve, reject) => {
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (!limits.allowPrivate && net.isIP(host) && isBlockedAddress(host)) {
+      reject(new SpecSourceError("blocked_address", `Refusing to fetch non-public address ${host}.`));
+      return;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      reject(new SpecSourceError("timeout", `Timed out fetching ${url.href}.`));
+      return;
+    }
+
+    const client = url.protocol === "https:" ? https : http;
+    let settled = false;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      req.destroy();
+      reject(err);
+    };
+
+    const req = client.request(url, {
+      method: "GET",
+      headers: {
+        accept: "application/json, application/yaml, text/yaml, */*;q=0.5",
+        "accept-encoding": "gzip, deflate, br",
+        "user-agent": "opal-openapi-surface-tool"
+      },
+      lookup: limits.allowPrivate ? undefined : guardedLookup
+    });
+
+    const timer = setTimeout(
+      () => fail(new SpecSourceError("timeout", `Timed out after ${limits.timeoutMs} ms fetching ${url.href}.`)),
+      remaining
+    );
+
+    req.on("error", (err) => {
+      if (err instanceof SpecSourceError) return fail(err);
+      fail(new SpecSourceError("unreachable", `Could not reach ${url.host}: ${err.code || err.message}`));
+    });
+
+    req.on("response", (resp) => {
+      if (!readBody(resp.statusCode)) {
+        resp.resume();
+        settled = true;
+        clearTimeout(timer);
+        resolve({ status: resp.statusCode, headers: resp.headers, body: null });
+        return;
+      }
+
+      const declared = Number(resp.headers["content-length"]);
+      if (Number.isFinite(declared) && declared > limits.maxBytes) {
+        return fail(new SpecSourceError("too_large", `Spec is ${declared} bytes; limit is ${limits.maxBytes}.`));
+      }
+
+      const decoder = decoderFor(resp.headers["content-encoding"]);
+      const stream = decoder ? resp.pipe(decoder) : resp;
+      const chunks = [];
+      let bytes = 0;
+
+      stream.on("data", (chunk) => {
+        bytes += chunk.length;
+        if (bytes > limits.maxBytes) {
+          fail(new SpecSourceError("too_large", `Spec exceeds the ${limits.maxBytes} byte limit.`));
+          stream.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on("error", (err) => fail(new SpecSourceError("unreachable", `Failed reading response: ${err.message}`)));
+      stream.on("end", () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ status: resp.statusCode, headers: resp.headers, body: Buffer.concat(chunks) });
+      });
+    });
+
+    req.end();
+  });
+}
+
+/**
+ * GET a URL as text with the guards above.
+ * Returns { text, content_type, final_url, bytes, redirects }.
+ */
+export async function fetchText(rawUrl, options = {}) {
+  const limits = fetchLimits(options);
+  const deadline = Date.now() + limits.timeoutMs;
+
+  let url = parseUrl(rawUrl);
+  const redirects = [];
+
+  for (;;) {
+    const resp = await requestOnce(url, limits, deadline, (status) => !REDIRECT_STATUSES.has(status));
+
+    if (REDIRECT_STATUSES.has(resp.status)) {
+      if (!resp.headers.location) {
+        throw new SpecSourceError("http_error", `Redirect ${resp.status} from ${url.href} has no Location header.`);
+      }
+      if (redirects.length >= limits.maxRedirects) {
+        throw new SpecSourceError("too_many_redirects", `More than ${limits.maxRedirects} redirects starting at ${rawUrl}.`);
+      }
+      url = parseUrl(new URL(resp.headers.location, url).href);
+      redirects.push(url.href);
+      continue;
+    }
+
+    if (resp.status < 200 || resp.status >= 300) {
+      throw new SpecSourceError("http_error", `Failed to fetch ${url.href}: HTTP ${resp.status}.`, {
+        upstream_status: resp.status
+      });
+    }
+
+    return {
+      text: resp.body.toString("utf8"),
+      content_type: String(resp.headers["content-type"] || "").split(";")[0].trim().toLowerCase() || null,
+      final_url: url.href,
+      bytes: resp.body.length,
+      redirects
+    };
+  }
+}
+
+/** HTML, images, PDFs, ... are never specs, whatever the URL looks like */
+function sniffNonSpec(text, contentType) {
+  const head = text.slice(0, 512).trimStart().toLowerCase();
+  if (head.startsWith("<!doctype html") || head.startsWith("<html") || contentType === "text/html") {
+    return "an HTML page";
+  }
+  if (/^(image|audio|video)\//.test(contentType || "") || contentType === "application/pdf") {
+    return `a ${contentType} document`;
+  }
+  if (head.startsWith("<")) return "an XML/HTML document";
+  return null;
+}
+
+/**
+ * Fetch and parse a spec (JSON first, YAML fallback).
+ * - requireSpec: false for external $ref documents, which are plain JSON/YAML
+ * Returns { openapi, source: { type: "url", url, final_url, format, bytes, content_type, redirects } }.
+ */
+export async function fetchSpec(specUrl, options = {}) {
+  const fetched = await fetchText(specUrl, options);
+  return parseFetchedSpec(fetched, specUrl, options);
+}
+
+/**
+ * Parse a fetchText() result as a spec (same checks as fetchSpec), so a response
+ * fetched for another reason (discovery's page probe) need not be fetched again.
+ */
+export function parseFetchedSpec(fetched, specUrl, options = {}) {
+  const { requireSpec = true } = options;
+  const nonSpec = sniffNonSpec(fetched.text, fetched.content_type);
+  if (nonSpec) {
+    throw new SpecSourceError("not_a_spec", `${fetched.final_url} returned ${nonSpec}, not an OpenAPI/Swagger document.`, {
+      content_type: fetched.content_type
+    });
+  }
+
+  const parsed = parseSpecText(fetched.text);
+  const openapi = requireSpec ? assertSpec(parsed, fetched.final_url) : parsed;
+
+  return {
+    openapi,
+    source: {
+      type: "url",
+      url: specUrl,
+      final_url: fetched.final_url,
+      format: detectTextFormat(fetched.text),
+      bytes: fetched.bytes,
+      content_type: fetched.content_type,
+      redirects: fetched.redirects
+    }
+  };
+}
+
+/** Loader for createResolver(): external $ref documents through the same guards */
+export async function loadRefDocument(url) {
+  const { openapi } = await fetchSpec(url, { requireSpec: false });
+  return openapi;
+}
+
+/** JSON body for a failed fetch/parse, with the status to send */
+export function specErrorResponse(err, message) {
+  if (err instanceof SpecSourceError) {
+    return {
+      status: err.status,
+      body: { error: message, code: err.code, details: err.message, ...err.details }
+    };
+  }
+  return { status: 500, body: { error: message, code: "internal_error", details: String(err?.message || err) } };
+}
@@ -0,0 +1,119 @@
+/**
+ * Spec sources other than a fetchable URL, plus the parsing/error model shared
+ * with the URL fetcher (lib/spec_fetcher.js).
+ *
+ * Both tools accept the spec inline, as an alternative to spec_url:
+ * - spec_content: raw JSON or YAML text
+ * - spec_base64:  base64 (or a data: URL) of the same, for attachments
+ *
+ * Parsing is shared with the URL path so the analysis is identical.
+ */
+
+import yaml from "js-yaml";
+
+/** HTTP status each error code maps to in tool responses */
+const ERROR_STATUS = {
+  invalid_input: 400,
+  invalid_url: 400,
+  blocked_address: 400,
+  too_large: 413,
+  not_a_spec: 422,
+  parse_error: 422,
+  unreachable: 502,
+  http_error: 502,
+  too_many_redirects: 502,
+  timeout: 504
+};
+
+/**
+ * Error with a stable machine-readable code, so handlers can tell
+ * "unreachable" from "too large" from "not a spec" from "parse error".
+ */
+export class SpecSourceError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "SpecSourceError";
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+/** "json" | "yaml", by the first significant character */
+export function detectTextFormat(text) {
+  const trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+  return trimmed.startsWith("{") || trimmed.startsWith("[") ? "json" : "yaml";
+}
+
+/**
+ * Parse spec text.
+ * - Try JSON first
+ * - Fallback to YAML
+ */
+export function parseSpecText(text) {
+  const trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+
+  try {
+    if (detectTextFormat(trimmed) === "json") {
+      return JSON.parse(trimmed);
+    }
+    return yaml.load(trimmed);
+  } catch (err) {
+    throw new SpecSourceError("parse_error", `Spec is not valid ${detectTextFormat(trimmed).toUpperCase()}: ${err.message}`);
+  }
+}
+
+/** True when a parsed document looks like an OpenAPI/Swagger spec */
+export function looksLikeSpec(doc) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return false;
+  return Boolean(doc.openapi || doc.swagger || (doc.paths && typeof doc.paths === "object"));
+}
+
+/** Throw not_a_spec unless doc looks like an OpenAPI/Swagger spec */
+export function assertSpec(doc, label = "Spec") {
+  if (!looksLikeSpec(doc)) {
+    throw new SpecSourceError("not_a_spec", `${label} parsed, but has no openapi/swagger/paths fields.`);
+  }
+  return doc;
+}
+
+function decodeBase64(raw) {
+  const payload = raw.trim().replace(/^data:[^,]*;base64,/i, "").replace(/\s+/g, "");
+
+  if (!payload || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(payload)) {
+    throw new SpecSourceError("invalid_input", "spec_base64 is not valid base64.");
+  }
+  return Buffer.from(payload, "base64").toString("utf8");
+}
+
+/**
+ * Read an inline spec from tool params.
+ * Returns null when neither spec_content nor spec_base64 is given, otherwise
+ * { openapi, source: { type, url, format, bytes } }. Throws SpecSourceError on bad input.
+ */
+export function readInlineSpec(params) {
+  let text = null;
+  let type = null;
+
+  if (typeof params?.spec_content === "string" && params.spec_content.trim()) {
+    text = params.spec_content;
+    type = "inline";
+  } else if (typeof params?.spec_base64 === "string" && params.spec_base64.trim()) {
+    text = decodeBase64(params.spec_base64);
+    type = "base64";
+  } else {
+    return null;
+  }
+
+  const openapi = assertSpec(parseSpecText(text), "Inline spec");
+
+  return {
+    openapi,
+    source: {
+      type,
+      url: null,
+      format: detectTextFormat(text),
+      bytes: Buffer.byteLength(text, "utf8")
+    }
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Spec version detection + Swagger 2.0 support.
+ *
+ * Swagger 2.0 constructs are translated into the OpenAPI 3.x shapes the tools
+ * already understand, so downstream code only reads one model:
+ * - securityDefinitions      -> components.securitySchemes shape (flows renamed)
+ * - host / basePath / schemes -> base URLs
+ * - consumes / produces       -> requestBody/response content types
+ * - body / formData params    -> requestBody
+ * - definitions               -> schema definitions
+ */
+
+const SWAGGER2_FLOW_NAMES = {
+  implicit: "implicit",
+  password: "password",
+  application: "clientCredentials",
+  accessCode: "authorizationCode"
+};
+
+const DEFAULT_MEDIA_TYPE = "application/json";
+
+/** { format: "swagger" | "openapi" | "unknown", version } */
+export function detectSpecVersion(spec) {
+  if (typeof spec?.swagger === "string" || typeof spec?.swagger === "number") {
+    return { format: "swagger", version: String(spec.swagger) };
+  }
+  if (typeof spec?.openapi === "string") {
+    return { format: "openapi", version: spec.openapi };
+  }
+  return { format: "unknown", version: null };
+}
+
+export function isSwagger2(spec) {
+  return detectSpecVersion(spec).format === "swagger";
+}
+
+/** Named schema definitions (components.schemas or Swagger 2.0 definitions) */
+export function schemaDefinitions(spec) {
+  if (isSwagger2(spec)) return spec?.definitions || {};
+  return spec?.components?.schemas || {};
+}
+
+/** Security schemes in OpenAPI 3.x shape, keyed by scheme name */
+export function securitySchemes(spec) {
+  if (!isSwagger2(spec)) return spec?.components?.securitySchemes || {};
+
+  const out = {};
+  for (const [name, def] of Object.entries(spec?.securityDefinitions || {})) {
+    if (!def || typeof def !== "object") continue;
+
+    if (def.type === "basic") {
+      out[name] = { type: "http", scheme: "basic", description: def.description };
+    } else if (def.type === "oauth2") {
+      const flowName = SWAGGER2_FLOW_NAMES[def.flow] || def.flow || "unknown";
+      out[name] = {
+        type: "oauth2",
+        description: def.description,
+        flows: {
+          [flowName]: {
+            authorizationUrl: def.authorizationUrl,
+            tokenUrl: def.tokenUrl,
+            scopes: def.scopes || {}
+          }
+        }
+      };
+    } else {
+      out[name] = { ...def };
+    }
+  }
+  return out;
+}
+
+/**
+ * Base URLs.
+ * - OpenAPI 3.x: servers[].url
+ * - Swagger 2.0: schemes x host + basePath; host/scheme fall back to specUrl
+ */
+export function baseUrls(spec, specUrl = null) {
+  if (!isSwagger2(spec)) {
+    const servers = Array.isArray(spec?.servers) ? spec.servers : [];
+    return servers
+      .map((s) => (s && typeof s === "object" ? s.url : null))
+      .filter(Boolean);
+  }
+
+  let fallback = null;
+  try {
+    fallback = specUrl ? new URL(specUrl) : null;
+  } catch {
+    fallback = null;
+  }
+
+  const host = spec?.host || fallback?.host || null;
+  const basePath = typeof spec?.basePath === "string" ? spec.basePath.replace(/\/$/, "") : "";
+  if (!host) return basePath ? [basePath] : [];
+
+  const schemes = Array.isArray(spec?.schemes) && spec.schemes.length
+    ? spec.schemes
+    : [fallback ? fallback.protocol.replace(":", "") : "https"];
+
+  return schemes.map((scheme) => `${scheme}://${host}${basePath}`);
+}
+
+function mediaTypes(list, fallback) {
+  return Array.isArray(list) && list.length ? list : fallback;
+}
+
+/**
+ * Operation parameters with path-level ones merged in (op wins on name+in), $refs resolved.
+ * Returns [{ param, level: "path" | "operation", index, base }]; base is the document key
+ * the parameter was resolved in (for nested schema $refs).
+ */
+export function mergedParameters(resolver, pathItem, op) {
+  const byKey = new Map();
+  const levels = [
+    ["path", pathItem?.parameters],
+    ["operation", op?.parameters]
+  ];
+
+  for (const [level, list] of levels) {
+    if (!Array.isArray(list)) continue;
+    list.forEach((p, index) => {
+      const { value, base } = resolver.deref(p);
+      if (value && typeof value === "object" && value.name && value.in) {
+        byKey.set(`${value.in}:${value.name}`, { param: value, level, index, base });
+      }
+    });
+  }
+  return Array.from(byKey.values());
+}
+
+function swagger2Parameters(resolver, pathItem, op) {
+  return mergedParameters(resolver, pathItem, op).map((entry) => entry.param);
+}
+
+/**
+ * requestBody in OpenAPI 3.x shape.
+ * Swagger 2.0: the `body` parameter, or formData parameters folded into an object schema.
+ */
+export function requestBodyFor(resolver, spec, pathItem, op) {
+  if (!isSwagger2(spec)) return op?.requestBody || null;
+
+  const params = swagger2Parameters(resolver, pathItem, op);
+  const consumes = mediaTypes(op?.consumes, mediaTypes(spec?.consumes, [DEFAULT_MEDIA_TYPE]));
+
+  const body = params.find((p) => p.in === "body");
+  if (body) {
+    return {
+      required: body.required === true,
+      description: body.description,
+      content: Object.fromEntries(consumes.map((t) => [t, { schema: body.schema }]))
+    };
+  }
+
+  const form = params.filter((p) => p.in === "formData");
+  if (!form.length) return null;
+
+  const hasFile = form.some((p) => p.type === "file");
+  const formTypes = consumes.filter((t) => /form/i.test(t));
+  const types = formTypes.length ? formTypes : [hasFile ? "multipart/form-data" : "application/x-www-form-urlencoded"];
+
+  const schema = {
+    type: "object",
+    required: form.filter((p) => p.required).map((p) => p.name),
+    properties: Object.fromEntries(
+      form.map((p) => [
+        p.name,
+        p.type === "file"
+          ? { type: "string", format: "binary" }
+          : { type: p.type, format: p.format, enum: p.enum, items: p.items, default: p.default }
+      ])
+    )
+  };
+
+  return {
+    required: form.some((p) => p.required),
+    content: Object.fromEntries(types.map((t) => [t, { schema }]))
+  };
+}
+
+/**
+ * Responses map in OpenAPI 3.x shape.
+ * Swagger 2.0: response.schema is wrapped in content keyed by `produces`.
+ */
+export function responsesFor(resolver, spec, op) {
+  const responses = op?.responses;
+  if (!responses || typeof responses !== "object") return null;
+  if (!isSwagger2(spec)) return responses;
+
+  const produces = mediaTypes(op?.produces, mediaTypes(spec?.produces, [DEFAULT_MEDIA_TYPE]));
+  const out = {};
+
+  for (const [status, response] of Object.entries(responses)) {
+    const { value } = resolver.deref(response);
+    if (!value || typeof value !== "object") continue;
+
+    out[status] = {
+      description: value.description,
+      headers: value.headers,
+      content: value.schema
+        ? Object.fromEntries(produces.map((t) => [t, { schema: value.schema }]))
+        : {}
+    };
+  }
+  return out;
+}
+
+/** Prefer JSON media types when an operation offers several. */
+export function pickMediaType(content) {
+  const types = Object.keys(content || {});
+  return (
+    types.find((t) => t === "application/json") ||
+    types.find((t) => /[/+]json\b/i.test(t)) ||
+    types[0] ||
+    null
+  );
+}
@@ -0,0 +1,507 @@
+/**
+ * Surface map extraction shared by the tools.
+ *
+ * Each endpoint carries request_schema / response_schemas (2xx) summaries with
+ * $refs resolved (local, external file/URL, circular-safe).
+ * OpenAPI 3.x and Swagger 2.0 are both handled natively (see lib/spec_version.js).
+ * Security is resolved per operation (overrides, OR/AND alternatives, scopes) and
+ * auth.scope_index maps each scope to the endpoints that need it.
+ * Webhooks (3.1 `webhooks`, `x-webhooks`, per-operation `callbacks`) are listed
+ * as events with their payload summary and the endpoint(s) that subscribe to them.
+ * Each endpoint lists its parameters (path-level + operation-level merged, $refs
+ * resolved); required_headers indexes required header params across endpoints.
+ * Each endpoint carries `resilience` (errors, idempotency, Retry-After, rate limits;
+ * lib/resilience.js), rolled up API-wide in surface_map.resilience.
+ * Endpoints are classified into criticality tiers (lib/criticality.js);
+ * surface_map.criticality lists the key endpoints across the spec.
+ * surface_map.resources groups operations into resources with CRUD coverage
+ * and parent/child nesting (lib/resources.js).
+ * GET collection endpoints carry `collection` (pagination, filters, sort; lib/pagination.js).
+ * Endpoints carry `bulk_async` (202 jobs, status polling, batch bodies, file/stream
+ * transfers; lib/bulk_async.js), rolled up in surface_map.bulk_async.
+ * Endpoints carry `deprecation` (deprecated / x-sunset / Sunset headers), `api_version`
+ * (/v1, /v2, ...) and `superseded_by`; surface_map.versioning groups them by version
+ * (lib/deprecation.js).
+ * Server variables are expanded with their defaults and enums; surface_map.servers
+ * lists every server (root, path and operation level) with its environment
+ * (production, sandbox, staging, ...) and region, and each endpoint's `servers`
+ * says which base URL applies to it (lib/servers.js).
+ * scopeSurface() restricts a surface map to some of its endpoints (exclusions,
+ * filtered views), rebuilding the sections derived from them.
+ */
+
+import { schemaFieldPaths, summarizeSchema, toPointer } from "./schema_resolver.js";
+import {
+  detectSpecVersion,
+  mergedParameters,
+  pickMediaType,
+  requestBodyFor,
+  responsesFor,
+  schemaDefinitions,
+  securitySchemes
+} from "./spec_version.js";
+import { buildScopeIndex, describeFlows, resolveOperationSecurity } from "./security.js";
+import { analyzeCollection } from "./pagination.js";
+import { classifyEndpoints, scopeCriticality } from "./criticality.js";
+import { buildResourceModel } from "./resources.js";
+import { operationResilience, summarizeResilience } from "./resilience.js";
+import { operationBulkAsync, summarizeBulkAsync } from "./bulk_async.js";
+import { operationDeprecation, scopeVersions, summarizeVersions } from "./deprecation.js";
+import { extractServers, operationServers, summarizeServers } from "./servers.js";
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+/** Extract auth schemes (components.securitySchemes or Swagger 2.0 securityDefinitions) */
+function extractAuthSchemes(openapi) {
+  const schemes = [];
+  const sec = securitySchemes(openapi);
+  for (const [name, def] of Object.entries(sec)) {
+    schemes.push({
+      name,
+      type: def?.type || "unknown",
+      in: def?.in || null,
+      scheme: def?.scheme || null,
+      bearerFormat: def?.bearerFormat || null,
+      flows: def?.flows ? Object.keys(def.flows).sort() : [],
+      flow_details: describeFlows(def)
+    });
+  }
+  return schemes;
+}
+
+/** Root base URLs with server variables set to their defaults */
+function extractBaseUrls(servers) {
+  return servers.filter((s) => s.level === "root").map((s) => s.default_url);
+}
+
+/** Summarize op.requestBody (may itself be a $ref to components.requestBodies) */
+function summarizeRequestBody(resolver, requestBody) {
+  if (!requestBody) return null;
+
+  const { value: body, base } = resolver.deref(requestBody);
+  if (!body || typeof body !== "object") return null;
+
+  const content = body.content || {};
+  const mediaType = pickMediaType(content);
+
+  return {
+    required: body.required === true,
+    content_types: Object.keys(content),
+    schema: mediaType ? summarizeSchema(resolver, content[mediaType]?.schema, base) : null
+  };
+}
+
+/** Summarize the 2xx responses of an operation */
+function summarizeResponses(resolver, responses) {
+  if (!responses || typeof responses !== "object") return [];
+
+  return Object.entries(responses)
+    .filter(([status]) => /^2(\d\d|XX)$/i.test(status))
+    .map(([status, response]) => {
+      const { value, base } = resolver.deref(response);
+      const content = value?.content || {};
+      const mediaType = pickMediaType(content);
+
+      return {
+        status,
+        description: typeof value?.description === "string" ? value.description.split("\n")[0] : "",
+        content_types: Object.keys(content),
+        schema: mediaType ? summarizeSchema(resolver, content[mediaType]?.schema, base) : null
+      };
+    });
+}
+
+/** "string", "array<string>", "integer | null" (3.x schema or Swagger 2.0 parameter) */
+function parameterType(schema) {
+  if (!schema || typeof schema !== "object") return null;
+  if (schema.type === "array") return `array<${schema.items?.type || "any"}>`;
+  return Array.isArray(schema.type) ? schema.type.join(" | ") : schema.type || null;
+}
+
+/**
+ * Path-level and operation-level parameters merged (operation wins on in+name),
+ * $refs resolved. Swagger 2.0 body/formData parameters are part of request_schema.
+ */
+function summarizeParameters(resolver, pathItem, op, path, method) {
+  return mergedParameters(resolver, pathItem, op)
+    .filter(({ param }) => param.in !== "body" && param.in !== "formData")
+    .map(({ param, level, index, base }) => {
+      // 3.x: schema or content.<media>.schema; Swagger 2.0: type/enum/... on the parameter itself
+      const contentSchema = param.content ? Object.values(param.content)[0]?.schema : null;
+      const raw = param.schema || contentSchema;
+      const schema = raw ? resolver.deref(raw, base).value : param;
+
+      return {
+        name: param.name,
+        in: param.in,
+        required: param.required === true || param.in === "path",
+        type: parameterType(schema),
+        format: schema?.format || null,
+        enum: Array.isArray(schema?.enum) ? schema.enum.slice(0, 50) : null,
+        default: schema?.default ?? null,
+        deprecated: param.deprecated === true,
+        description: typeof param.description === "string" ? param.description.split("\n")[0] : null,
+        level,
+        pointer: level === "path"
+          ? toPointer(["paths", path, "parameters", index])
+          : toPointer(["paths", path, method.toLowerCase(), "parameters", index])
+      };
+    });
+}
+
+/** Required header parameters across endpoints (tenant ids, API versions, ...) */
+function requiredHeaderIndex(endpoints) {
+  const byName = new Map();
+  for (const ep of endpoints) {
+    for (const p of ep.parameters) {
+      if (p.in !== "header" || !p.required) continue;
+      const key = p.name.toLowerCase();
+      if (!byName.has(key)) byName.set(key, { name: p.name, endpoints: [] });
+      byName.get(key).endpoints.push(`${ep.method} ${ep.path}`);
+    }
+  }
+  return Array.from(byName.values())
+    .map((h) => ({ name: h.name, endpoint_count: h.endpoints.length, endpoints: h.endpoints.slice(0, 20) }))
+    .sort((a, b) => b.endpoint_count - a.endpoint_count);
+}
+
+/** One-line hint, e.g. "Pet (object); 6 properties; required: name, photoUrls" */
+function schemaHint(schema) {
+  if (!schema) return "";
+  const parts = [schema.name && schema.name !== schema.type ? `${schema.name} (${schema.type})` : schema.type];
+  if (schema.properties.length) parts.push(`${schema.properties.length} properties`);
+  if (schema.required.length) parts.push(`required: ${schema.required.join(", ")}`);
+  if (schema.items?.properties?.length) {
+    parts.push(`item properties: ${schema.items.properties.map((p) => p.name).slice(0, 8).join(", ")}`);
+  }
+  return parts.join("; ");
+}
+
+/**
+ * Operations under `paths`, in spec order: [{ method, path, pathItem, op, pointer }].
+ * pointer is the JSON pointer of the operation (evidence for agents and diffs).
+ * methods defaults to the ones the surface map covers (no HEAD/OPTIONS).
+ */
+export function listOperations(openapi, methods = METHODS) {
+  const paths = openapi?.paths || {};
+  const operations = [];
+
+  for (const [path, ops] of Object.entries(paths)) {
+    if (!ops || typeof ops !== "object") continue;
+
+    for (const m of methods) {
+      const op = ops[m];
+      if (!op || typeof op !== "object") continue;
+      operations.push({ method: m.toUpperCase(), path, pathItem: ops, op, pointer: toPointer(["paths", path, m]) });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Property paths an operation can carry: request body fields and 2xx response
+ * fields (nested, e.g. "data[].email"), for field-level coverage checks.
+ * Returns { request: [{ path, name, type, required }], response: [...] }.
+ */
+export function operationSchemaFields(resolver, openapi, { pathItem, op }) {
+  const fieldsOf = (container) => {
+    const { value, base } = resolver.deref(container);
+    const content = value?.content || {};
+    const mediaType = pickMediaType(content);
+    return mediaType ? schemaFieldPaths(resolver, content[mediaType]?.schema, base) : [];
+  };
+
+  const requestBody = requestBodyFor(resolver, openapi, pathItem, op);
+  const responses = responsesFor(resolver, openapi, op) || {};
+
+  const response = [];
+  for (const [status, r] of Object.entries(responses)) {
+    if (!/^2(\d\d|XX)$/i.test(status)) continue;
+    for (const field of fieldsOf(r)) {
+      if (!response.some((f) => f.path === field.path)) response.push(field);
+    }
+  }
+
+  return { request: requestBody ? fieldsOf(requestBody) : [], response };
+}
+
+/**
+ * Extract endpoints from OpenAPI paths.
+ */
+function extractEndpoints(openapi, resolver, operations, servers) {
+  const schemes = securitySchemes(openapi);
+  const endpoints = [];
+
+  for (const { method, path, pathItem, op, pointer } of operations) {
+    const purpose =
+      op.summary ||
+      (typeof op.description === "string" ? op.description.split("\n")[0] : null) ||
+      "No description";
+
+    // Effective security: op.security overrides global; [] or {} means public/optional.
+    // auth_required stays null when the spec declares no security at all.
+    const security = resolveOperationSecurity(openapi, op, schemes);
+
+    const request_schema = summarizeRequestBody(resolver, requestBodyFor(resolver, openapi, pathItem, op));
+    const response_schemas = summarizeResponses(resolver, responsesFor(resolver, openapi, op));
+    const primaryResponse = response_schemas.find((r) => r.schema) || null;
+
+    const endpoint = {
+      method,
+      path,
+      pointer,
+      operation_id: op.operationId || null,
+      // Operation-level servers win over path-level ones, which win over the root servers
+      servers: operationServers(servers, method, path),
+      tags: Array.isArray(op.tags) ? op.tags : [],
+      purpose,
+      auth_required: security.auth_required,
+      scopes: security.scopes,
+      security,
+      parameters: summarizeParameters(resolver, pathItem, op, path, method),
+      request_schema_hint: request_schema ? schemaHint(request_schema.schema) || "Has requestBody (no schema)" : "",
+      response_schema_hint: primaryResponse
+        ? `${primaryResponse.status}: ${schemaHint(primaryResponse.schema)}`
+        : op.responses ? "No 2xx response schema" : "",
+      request_schema,
+      response_schemas,
+      notes: security.unknown_schemes.map((name) => `Security requirement references undefined scheme "${name}".`)
+    };
+
+    // GET collections: pagination style, page-size limits, filter and sort params (null otherwise)
+    endpoint.collection = analyzeCollection(resolver, openapi, { pathItem, op }, endpoint);
+
+    // Documented errors, idempotency keys, Retry-After / rate-limit headers and extensions
+    endpoint.resilience = operationResilience(resolver, openapi, { pathItem, op, path, method }, endpoint.parameters);
+    if (!endpoint.resilience.errors.length) endpoint.notes.push("No error responses documented.");
+
+    // 202 async jobs, job status polling, batch request bodies, file uploads/downloads (null otherwise)
+    endpoint.bulk_async = operationBulkAsync(resolver, openapi, { pathItem, op }, endpoint);
+
+    // deprecated: true, x-deprecated, x-sunset, Sunset headers (null for current operations)
+    endpoint.deprecation = operationDeprecation(resolver, { pathItem, op, path, method });
+    if (endpoint.deprecation) {
+      const { sunset, replacement } = endpoint.deprecation;
+      endpoint.notes.push(`Deprecated${sunset ? ` (sunset ${sunset})` : ""}${replacement ? `; use ${replacement}` : ""}.`);
+    }
+    endpoints.push(endpoint);
+  }
+
+  return endpoints;
+}
+
+const SUBSCRIPTION_HINT = /webhook|subscri|hook|callback|notification|event/i;
+
+/** Lowercased alphanumerics only, so "order.shipped" equals "ORDER_SHIPPED" */
+function eventKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Event operations: top-level `webhooks` (3.1), `x-webhooks` (Redoc extension)
+ * and `callbacks` declared on operations.
+ * Returns [{ name, source, method, pathItem, op, pointer, expression, owner }].
+ */
+export function listWebhookOperations(openapi, resolver) {
+  const events = [];
+
+  const addPathItem = (name, source, item, segments, extra = {}) => {
+    const { value: pathItem } = resolver.deref(item);
+    if (!pathItem || typeof pathItem !== "object") return;
+
+    for (const m of METHODS) {
+      const op = pathItem[m];
+      if (!op || typeof op !== "object") continue;
+      events.push({ name, source, method: m.toUpperCase(), pathItem, op, pointer: toPointer([...segments, m]), expression: null, owner: null, ...extra });
+    }
+  };
+
+  for (const key of ["webhooks", "x-webhooks"]) {
+    const hooks = openapi?.[key];
+    if (!hooks || typeof hooks !== "object") continue;
+    for (const [name, item] of Object.entries(hooks)) addPathItem(name, key, item, [key, name]);
+  }
+
+  for (const { method, path, op } of listOperations(openapi)) {
+    if (!op.callbacks || typeof op.callbacks !== "object") continue;
+
+    for (const [name, cb] of Object.entries(op.callbacks)) {
+      const { value: callback } = resolver.deref(cb);
+      if (!callback || typeof callback !== "object") continue;
+
+      for (const [expression, item] of Object.entries(callback)) {
+        if (expression.startsWith("x-")) continue;
+        addPathItem(name, "callback", item, ["paths", path, method.toLowerCase(), "callbacks", name, expression], {
+          expression,
+          owner: { method, path, pointer: toPointer(["paths", path, method.toLowerCase()]) }
+        });
+      }
+    }
+  }
+
+  return events;
+}
+
+/** Enum values in a request schema summary (top level + array items) */
+function requestEnumValues(endpoint) {
+  const schema = endpoint.request_schema?.schema;
+  const props = [...(schema?.properties || []), ...(schema?.items?.properties || [])];
+  return props.flatMap((p) => (Array.isArray(p.enum) ? p.enum : [])).map(eventKey);
+}
+
+/**
+ * Webhook/event inventory: each event with its payload and the endpoint(s)
+ * that register it. Callbacks are registered by the operation declaring them;
+ * other events are linked to subscription-looking endpoints, preferring ones
+ * whose request schema enumerates the event name.
+ */
+function extractWebhooks(openapi, resolver, endpoints) {
+  const subscriptionEndpoints = endpoints.filter(
+    (ep) => ["POST", "PUT", "PATCH"].includes(ep.method) && (SUBSCRIPTION_HINT.test(ep.path) || SUBSCRIPTION_HINT.test(ep.operation_id || ""))
+  );
+
+  const events = listWebhookOperations(openapi, resolver).map((ev) => {
+    let subscription = [];
+    if (ev.owner) {
+      subscription = [{ ...ev.owner, via: "callback declared on this operation" }];
+    } else {
+      const key = eventKey(ev.name);
+      const enumerated = subscriptionEndpoints.filter((ep) => requestEnumValues(ep).includes(key));
+      subscription = (enumerated.length ? enumerated : subscriptionEndpoints).map((ep) => ({
+        method: ep.method,
+        path: ep.path,
+        pointer: ep.pointer,
+        via: enumerated.length ? "event name listed in request schema enum" : "webhook subscription endpoint (event not enumerated)"
+      }));
+    }
+
+    return {
+      name: ev.name,
+      source: ev.source,
+      method: ev.method,
+      pointer: ev.pointer,
+      expression: ev.expression,
+      operation_id: ev.op.operationId || null,
+      purpose:
+        ev.op.summary || (typeof ev.op.description === "string" ? ev.op.description.split("\n")[0] : null) || "No description",
+      payload: summarizeRequestBody(resolver, requestBodyFor(resolver, openapi, ev.pathItem, ev.op)),
+      subscription
+    };
+  });
+
+  const notes = [];
+  if (events.some((ev) => !ev.subscription.length)) {
+    notes.push("Some events have no subscription endpoint in the spec; they may be configured in a dashboard.");
+  }
+
+  return {
+    events,
+    subscription_endpoints: subscriptionEndpoints.map(({ method, path, pointer }) => ({ method, path, pointer })),
+    notes
+  };
+}
+
+function authNotes(endpoints) {
+  const notes = [];
+  const publicCount = endpoints.filter((ep) => ep.auth_required === false).length;
+  if (publicCount) notes.push(`${publicCount} endpoint(s) are public or allow anonymous access.`);
+  if (endpoints.some((ep) => ep.auth_required === null)) {
+    notes.push("Some endpoints declare no security requirement (auth_required = null); confirm with the vendor.");
+  }
+  return notes;
+}
+
+/** Normalize into a stable structure for agents */
+export function normalizeSurfaceMap(openapi, resolver, specUrl) {
+  const title = openapi?.info?.title || "Unknown API";
+  const version = openapi?.info?.version || null;
+  const spec_version = detectSpecVersion(openapi);
+
+  const notes = [...resolver.errors];
+  if (spec_version.format === "unknown") {
+    notes.push("No `openapi` or `swagger` version field found; parsed as OpenAPI 3.x.");
+  }
+
+  const operations = listOperations(openapi);
+  const servers = extractServers(openapi, operations, specUrl);
+  const endpoints = extractEndpoints(openapi, resolver, operations, servers);
+  const versioning = summarizeVersions(endpoints);
+  for (const ep of endpoints) {
+    if (ep.superseded_by && !ep.deprecation) ep.notes.push(`Superseded by ${ep.superseded_by} in a newer API version.`);
+  }
+  const criticality = classifyEndpoints(endpoints);
+
+  // Writes that cannot be retried safely although the API has idempotency keys elsewhere
+  const idempotencyHeader = endpoints.find((ep) => ep.resilience.idempotency)?.resilience.idempotency.header;
+  if (idempotencyHeader) {
+    for (const ep of endpoints) {
+      if (["POST", "PATCH"].includes(ep.method) && !ep.resilience.idempotency) {
+        ep.notes.push(`Does not accept ${idempotencyHeader} (other endpoints do); retries may create duplicates.`);
+      }
+    }
+  }
+  return {
+    api: { title, version },
+    spec_version,
+    base_urls: extractBaseUrls(servers),
+    servers: summarizeServers(servers, endpoints),
+    auth: {
+      schemes: extractAuthSchemes(openapi),
+      scope_index: buildScopeIndex(endpoints, securitySchemes(openapi)),
+      notes: authNotes(endpoints)
+    },
+    endpoints,
+    required_headers: requiredHeaderIndex(endpoints),
+    resilience: summarizeResilience(openapi, endpoints),
+    criticality,
+    resources: buildResourceModel(endpoints),
+    bulk_async: summarizeBulkAsync(endpoints),
+    versioning,
+    webhooks: extractWebhooks(openapi, resolver, endpoints),
+    schema_names: Object.keys(schemaDefinitions(openapi)).sort(),
+    notes
+  };
+}
+
+/**
+ * The surface map restricted to some of its endpoints. Sections built from the
+ * endpoints (server overrides, scope index, required headers, resilience,
+ * criticality, resources, bulk/async, versioning) only cover those endpoints;
+ * webhook events keep only subscriptions through them, and events whose
+ * subscription endpoints are all gone are dropped. Per-endpoint fields
+ * (criticality tier, superseded_by) stay as computed over the whole API.
+ */
+export function scopeSurface(map, openapi, endpoints) {
+  const labels = new Set(endpoints.map((ep) => `${ep.method} ${ep.path}`));
+  const paths = new Set(endpoints.map((ep) => ep.path));
+  const servers = map.servers.entries.filter(
+    (e) => e.level === "root" || (e.level === "path" ? paths.has(e.scope) : labels.has(e.scope))
+  );
+
+  const events = map.webhooks.events
+    .map((ev) => ({ ...ev, subscription: ev.subscription.filter((s) => labels.has(`${s.method} ${s.path}`)) }))
+    .filter((ev, i) => ev.subscription.length || !map.webhooks.events[i].subscription.length);
+
+  return {
+    ...map,
+    servers: summarizeServers(servers, endpoints),
+    auth: {
+      ...map.auth,
+      scope_index: buildScopeIndex(endpoints, securitySchemes(openapi)),
+      notes: authNotes(endpoints)
+    },
+    endpoints,
+    required_headers: requiredHeaderIndex(endpoints),
+    resilience: summarizeResilience(openapi, endpoints),
+    criticality: scopeCriticality(map.criticality, endpoints),
+    resources: buildResourceModel(endpoints),
+    bulk_async: summarizeBulkAsync(endpoints),
+    versioning: scopeVersions(map.versioning, endpoints),
+    webhooks: {
+      ...map.webhooks,
+      events,
+      subscription_endpoints: map.webhooks.subscription_endpoints.filter((s) => labels.has(`${s.method} ${s.path}`))
+    }
+  };
+}
@@ -0,0 +1,262 @@
+/**
+ * Filtering, paging and summarization of a surface map, for specs too large to
+ * return in one tool response.
+ *
+ * Input (all optional):
+ * - tags         ["Payments", "Refunds"]: endpoints carrying any of them
+ * - path_prefix  "/v2/payments" (segment-aware: not /v2/payments-legacy)
+ * - methods      ["GET", "POST"]
+ * - auth_scheme  security scheme name or type ("oauth2", "apiKey", "bearer");
+ *                "none" keeps public and undeclared endpoints
+ * - query        free text; every word must appear in method, path, operationId,
+ *                summary or tags
+ * - mode         "full" (default): the surface map with one page of endpoints;
+ *                "summary": counts per tag / resource / method / tier and the
+ *                top endpoints instead of the inventory
+ * - limit        page size in full mode (without it every matching endpoint is
+ *                returned in one response) or number of top endpoints in summary
+ *                mode (default 20)
+ * - cursor       next_cursor from the previous page (it carries the page size)
+ *
+ * With filters, the sections built from endpoints (scope index, required headers,
+ * resilience, criticality, resources, bulk/async, versioning, server overrides,
+ * webhook subscriptions) cover the matching endpoints only (scopeSurface() in
+ * lib/surface_map.js). Cursors are stateless: the same spec and filters must be
+ * sent with them, and a cursor from other filters is rejected. Pages after the
+ * first carry only the endpoints; the other sections are in the first page.
+ */
+
+import { createHash } from "node:crypto";
+import { scopeSurface } from "./surface_map.js";
+
+const MODES = ["full", "summary"];
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+const DEFAULT_TOP = 20;
+const MAX_LIMIT = 500;
+const MAX_GROUPS = 100;
+const UNTAGGED = "(untagged)";
+const NO_AUTH = "none";
+
+/** API-wide sections left out of continuation pages */
+const PAGE_SECTIONS = ["api", "spec_version", "endpoints"];
+
+function stringList(value) {
+  const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : null;
+  return list ? list.filter((x) => typeof x === "string" && x.trim()).map((x) => x.trim()) : null;
+}
+
+function filterKey(filters) {
+  return createHash("sha1").update(JSON.stringify(filters)).digest("hex").slice(0, 12);
+}
+
+/** { offset, limit } from a cursor, or null when it is not one of ours for these filters */
+function decodeCursor(cursor, filters) {
+  try {
+    const { o, l, k } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isInteger(o) && o >= 0 && Number.isInteger(l) && l >= 1 && l <= MAX_LIMIT && k === filterKey(filters)) {
+      return { offset: o, limit: l };
+    }
+  } catch {
+    // fall through: not a cursor from this tool
+  }
+  return null;
+}
+
+/**
+ * Validate the view params.
+ * Returns { view: { mode, filters, limit, offset } } or { error } (message for a 400).
+ */
+export function readSurfaceView(params) {
+  const mode = params?.mode === undefined || params?.mode === null || params?.mode === "" ? "full" : String(params.mode).toLowerCase();
+  if (!MODES.includes(mode)) return { error: `mode must be one of: ${MODES.join(", ")}.` };
+
+  const filters = {};
+  for (const key of ["tags", "methods"]) {
+    if (params?.[key] === undefined || params?.[key] === null) continue;
+    const list = stringList(params[key]);
+    if (!list) return { error: `${key} must be an array of strings.` };
+    if (list.length) filters[key] = key === "methods" ? list.map((m) => m.toUpperCase()) : list;
+  }
+  const unknownMethod = (filters.methods || []).find((m) => !METHODS.includes(m));
+  if (unknownMethod) return { error: `methods: "${unknownMethod}" is not one of ${METHODS.join(", ")}.` };
+
+  for (const key of ["path_prefix", "auth_scheme", "query"]) {
+    const value = params?.[key];
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof value !== "string") return { error: `${key} must be a string.` };
+    if (value.trim()) filters[key] = value.trim();
+  }
+  if (filters.path_prefix && !filters.path_prefix.startsWith("/")) {
+    return { error: 'path_prefix must start with "/" (e.g. "/v2/payments").' };
+  }
+
+  const raw = params?.limit;
+  const limit = raw === undefined || raw === null || raw === "" ? null : Number(raw);
+  if (limit !== null && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_LIMIT)) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}.` };
+  }
+
+  let offset = 0;
+  let cursorLimit = null;
+  if (params?.cursor !== undefined && params?.cursor !== null && params?.cursor !== "") {
+    if (mode === "summary") return { error: "cursor only applies to mode \"full\"." };
+    const position = typeof params.cursor === "string" ? decodeCursor(params.cursor, filters) : null;
+    if (!position) {
+      return { error: "cursor is invalid or was issued for other filters; send the same filters, or start again without a cursor." };
+    }
+    ({ offset, limit: cursorLimit } = position);
+  }
+
+  // Full mode without a limit is unpaged: every matching endpoint in one response
+  return { view: { mode, filters, limit: limit ?? cursorLimit ?? (mode === "summary" ? DEFAULT_TOP : null), offset } };
+}
+
+function matchesAuth(ep, wanted) {
+  if (wanted === NO_AUTH) return ep.auth_required !== true;
+  return (ep.security?.alternatives || []).some((alt) =>
+    alt.schemes.some((s) => s.name.toLowerCase() === wanted || String(s.type).toLowerCase() === wanted || String(s.scheme || "").toLowerCase() === wanted)
+  );
+}
+
+/** Does an endpoint pass every filter? */
+function matches(ep, filters) {
+  if (filters.tags && !ep.tags.some((t) => filters.tags.some((f) => f.toLowerCase() === t.toLowerCase()))) return false;
+  if (filters.methods && !filters.methods.includes(ep.method)) return false;
+  if (filters.path_prefix) {
+    const prefix = filters.path_prefix.length > 1 ? filters.path_prefix.replace(/\/+$/, "") : filters.path_prefix;
+    if (prefix !== "/" && ep.path !== prefix && !ep.path.startsWith(`${prefix}/`)) return false;
+  }
+  if (filters.auth_scheme && !matchesAuth(ep, filters.auth_scheme.toLowerCase())) return false;
+  if (filters.query) {
+    const text = [ep.method, ep.path, ep.operation_id, ep.purpose, ...ep.tags].filter(Boolean).join(" ").toLowerCase();
+    if (!filters.query.toLowerCase().split(/\s+/).every((word) => text.includes(word))) return false;
+  }
+  return true;
+}
+
+function countBy(items, keyOf) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+/** Endpoint counts per tag / resource / method / tier and the top endpoints by criticality */
+function summarize(map, matched, limit) {
+  const tags = new Map();
+  for (const ep of matched) {
+    for (const tag of ep.tags.length ? ep.tags : [UNTAGGED]) {
+      if (!tags.has(tag)) tags.set(tag, []);
+      tags.get(tag).push(ep);
+    }
+  }
+  const by_tag = Array.from(tags, ([tag, eps]) => ({
+    tag,
+    endpoint_count: eps.length,
+    methods: countBy(eps, (ep) => ep.method)
+  })).sort((a, b) => b.endpoint_count - a.endpoint_count || a.tag.localeCompare(b.tag));
+
+  const labels = new Set(matched.map((ep) => `${ep.method} ${ep.path}`));
+  const by_resource = map.resources
+    .map((r) => ({
+      resource: r.name,
+      path: r.path,
+      endpoint_count: [...Object.values(r.operations).flat(), ...r.actions].filter((label) => labels.has(label)).length,
+      lifecycle_missing: r.lifecycle.missing
+    }))
+    .filter((r) => r.endpoint_count)
+    .sort((a, b) => b.endpoint_count - a.endpoint_count || String(a.path).localeCompare(String(b.path)));
+
+  const top_endpoints = matched
+    .slice()
+    .sort((a, b) => b.criticality_score - a.criticality_score)
+    .slice(0, limit)
+    .map((ep) => ({
+      method: ep.method,
+      path: ep.path,
+      purpose: ep.purpose,
+      tier: ep.criticality,
+      score: ep.criticality_score,
+      tags: ep.tags,
+      deprecated: Boolean(ep.deprecation)
+    }));
+
+  return {
+    summary: {
+      api: map.api,
+      spec_version: map.spec_version,
+      base_urls: map.base_urls,
+      environments: map.servers.environments.map((e) => e.environment),
+      regions: map.servers.regions.map((r) => r.region),
+      auth_schemes: map.auth.schemes.map((s) => ({ name: s.name, type: s.type, flows: s.flows })),
+      endpoint_count: matched.length,
+      by_method: countBy(matched, (ep) => ep.method),
+      by_tier: countBy(matched, (ep) => ep.criticality),
+      by_tag: by_tag.slice(0, MAX_GROUPS),
+      by_resource: by_resource.slice(0, MAX_GROUPS),
+      top_endpoints,
+      deprecated_count: matched.filter((ep) => ep.deprecation).length,
+      webhook_events: map.webhooks.events.map((e) => e.name),
+      schema_count: map.schema_names.length,
+      notes: [...map.notes, ...map.auth.notes, ...map.servers.notes, ...map.versioning.notes]
+    },
+    omitted_groups: Math.max(0, by_tag.length - MAX_GROUPS) + Math.max(0, by_resource.length - MAX_GROUPS)
+  };
+}
+
+/**
+ * Apply a view to a full surface map (openapi is the spec it was built from).
+ * Returns { surface_map } (full) or { summary } (summary), plus `filters` (null when
+ * none), `page` (full mode) and `omitted` for the tool's stats.
+ */
+export function applySurfaceView(map, view, openapi) {
+  const { mode, filters, limit, offset } = view;
+  const matched = map.endpoints.filter((ep) => matches(ep, filters));
+  const filtered_out = map.endpoints.length - matched.length;
+  const shownFilters = Object.keys(filters).length ? filters : null;
+  const scoped = shownFilters ? scopeSurface(map, openapi, matched) : map;
+
+  if (mode === "summary") {
+    const { summary, omitted_groups } = summarize(scoped, matched, limit);
+    return {
+      summary,
+      filters: shownFilters,
+      omitted: {
+        endpoints: map.endpoints.length,
+        filtered_out,
+        other_pages: 0,
+        groups: omitted_groups,
+        top_endpoints_beyond_limit: Math.max(0, matched.length - summary.top_endpoints.length),
+        sections: ["endpoints", "resources", "criticality", "resilience", "bulk_async", "versioning", "webhooks", "required_headers"]
+      }
+    };
+  }
+
+  const endpoints = limit === null ? matched.slice(offset) : matched.slice(offset, offset + limit);
+  const next = offset + endpoints.length;
+  const has_more = next < matched.length;
+  const surface_map = offset
+    ? { ...Object.fromEntries(PAGE_SECTIONS.map((k) => [k, map[k]])), endpoints }
+    : { ...scoped, endpoints };
+
+  return {
+    surface_map,
+    filters: shownFilters,
+    page: {
+      limit,
+      offset,
+      returned: endpoints.length,
+      matched: matched.length,
+      has_more,
+      next_cursor: has_more ? Buffer.from(JSON.stringify({ o: next, l: limit, k: filterKey(filters) })).toString("base64url") : null
+    },
+    omitted: {
+      endpoints: map.endpoints.length - endpoints.length,
+      filtered_out,
+      other_pages: matched.length - endpoints.length,
+      sections: offset ? Object.keys(map).filter((k) => !PAGE_SECTIONS.includes(k)) : []
+    }
+  };
+}